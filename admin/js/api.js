@@ -1,4 +1,23 @@
-import { supabase } from './supabase.js';
+import { supabase, PHOTO_STORE, PHOTO_BUCKET } from './supabase.js';
+import { authManager } from './auth.js';
+import { fromViewRows, tallyResults, groupSnapshot } from '../../site/js/tally.js';
+import { validateTieResolution } from './ties.js';
+import {
+    canTransition,
+    getRestoreStatus,
+    EDITABLE_ELECTION_FIELDS,
+    getLockedElectionFields
+} from './lifecycle.js';
+import { generateToken, hashToken } from './tokens.js';
+import { toCSV } from './csv.js';
+import { serializeSlate } from './slate.js';
+import { BLUEPRINT_VERSION, buildBlueprint, buildRunoffBlueprint } from './templates.js';
+import { buildElectionArchive, validateElectionArchive, anonymizeBallots } from './backup.js';
+import { hashBallotSet, verifyBallotSet } from './certification.js';
+import { buildResultsReport, reportToSheets, renderCertificate } from './report.js';
+
+// SheetJS, loaded only when a spreadsheet is exported
+const XLSX_MODULE_URL = 'https://cdn.sheetjs.com/xlsx-0.20.3/package/xlsx.mjs';
 
 class AdminAPI {
     /**
@@ -15,7 +34,8 @@ class AdminAPI {
                     name: candidateData.name,
                     position: candidateData.position,
                     description: candidateData.description || null,
-                    image_url: candidateData.image_url || null
+                    image_url: candidateData.image_url || null,
+                    thumbnail_url: candidateData.thumbnail_url || null
                 }])
                 .select()
                 .single();
@@ -49,12 +69,16 @@ class AdminAPI {
     // Delete candidate
     async deleteCandidate(candidateId) {
         try {
+            const before = await this.fetchRow('candidates', candidateId);
+
             const { error } = await supabase
                 .from('candidates')
                 .delete()
                 .eq('id', candidateId);
 
             if (error) throw error;
+
+            await this.deleteCandidatePhotos(before);
             return { success: true };
         } catch (error) {
             console.error('Error deleting candidate:', error);
@@ -62,6 +86,44 @@ class AdminAPI {
         }
     }
 
+    // Add a whole slate of candidates in one insert, so either all of them are added or none
+    async importCandidates(electionId, entries) {
+        try {
+            const { data, error } = await supabase
+                .from('candidates')
+                .insert(entries.map(entry => ({ ...entry, election_id: electionId })))
+                .select();
+
+            if (error) throw error;
+            return { success: true, data: { imported: data.length } };
+        } catch (error) {
+            console.error('Error importing candidates:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Download an election's candidates as a slate that can be imported elsewhere
+    async exportCandidateSlate(electionId, electionTitle, format = 'csv') {
+        try {
+            const result = await this.getCandidatesByElection(electionId);
+            if (!result.success) throw new Error(result.error);
+
+            const slug = electionTitle.toLowerCase().replace(/\s+/g, '_');
+            const content = serializeSlate(result.data, format);
+
+            if (format === 'json') {
+                this.downloadFile(content, `${slug}_candidates.json`, 'application/json;charset=utf-8;');
+            } else {
+                this.downloadCSV(content, `${slug}_candidates.csv`);
+            }
+
+            return { success: true, data: { exported: result.data.length } };
+        } catch (error) {
+            console.error('Error exporting candidates:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     // Get all candidates for an election
     async getCandidatesByElection(electionId) {
         try {
@@ -108,16 +170,183 @@ class AdminAPI {
         }
     }
 
+    /**
+     * CANDIDATE PHOTOS
+     */
+
+    // Upload a cropped photo and its thumbnail, returning their public URLs
+    async uploadCandidatePhoto(electionId, photo, thumbnail) {
+        try {
+            // Stored under the election's ID - the bucket policies check the organizer's role on it
+            const name = `${electionId}/${crypto.randomUUID()}`;
+            const imageUrl = await this.storePhoto(`${name}.jpg`, photo);
+            const thumbnailUrl = await this.storePhoto(`${name}_thumb.jpg`, thumbnail);
+
+            return { success: true, data: { image_url: imageUrl, thumbnail_url: thumbnailUrl } };
+        } catch (error) {
+            console.error('Error uploading candidate photo:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Write one file to the configured photo store
+    async storePhoto(path, blob) {
+        if (PHOTO_STORE === 'local') {
+            const response = await fetch(`/uploads/${path}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': blob.type },
+                body: blob
+            });
+
+            if (!response.ok) throw new Error(`Local photo store responded with ${response.status}`);
+            return `/uploads/${path}`;
+        }
+
+        const { error } = await supabase.storage
+            .from(PHOTO_BUCKET)
+            .upload(path, blob, { contentType: blob.type, cacheControl: '31536000' });
+
+        if (error) throw error;
+
+        return supabase.storage.from(PHOTO_BUCKET).getPublicUrl(path).data.publicUrl;
+    }
+
+    // Path of a photo in the configured store, or null for URLs that point anywhere else
+    photoPath(url) {
+        const prefix = PHOTO_STORE === 'local'
+            ? '/uploads/'
+            : supabase.storage.from(PHOTO_BUCKET).getPublicUrl('').data.publicUrl;
+
+        return url?.startsWith(prefix) ? decodeURIComponent(url.slice(prefix.length)) : null;
+    }
+
+    // Remove a candidate's uploaded photos. Best effort - only files in the candidate's own
+    // election folder are removed, so photos shared through an imported slate stay put.
+    async deleteCandidatePhotos(candidate) {
+        const paths = [candidate?.image_url, candidate?.thumbnail_url]
+            .map(url => this.photoPath(url))
+            .filter(path => path?.startsWith(`${candidate.election_id}/`));
+
+        if (paths.length === 0) return;
+
+        try {
+            if (PHOTO_STORE === 'local') {
+                await Promise.all(paths.map(path => fetch(`/uploads/${path}`, { method: 'DELETE' })));
+                return;
+            }
+
+            const { error } = await supabase.storage.from(PHOTO_BUCKET).remove(paths);
+            if (error) throw error;
+        } catch (error) {
+            console.error('Error deleting candidate photos:', error);
+        }
+    }
+
+    // Copy an uploaded photo into another election's folder. Other URLs are kept as they are;
+    // null is returned when the original is gone.
+    async copyCandidatePhoto(url, electionId) {
+        const path = this.photoPath(url);
+        if (!path) return url || null;
+
+        const copyPath = `${electionId}/${path.split('/').pop()}`;
+
+        try {
+            if (PHOTO_STORE === 'local') {
+                const original = await fetch(`/uploads/${path}`);
+                if (!original.ok) throw new Error(`Local photo store responded with ${original.status}`);
+                return await this.storePhoto(copyPath, await original.blob());
+            }
+
+            const { error } = await supabase.storage.from(PHOTO_BUCKET).copy(path, copyPath);
+            if (error) throw error;
+
+            return supabase.storage.from(PHOTO_BUCKET).getPublicUrl(copyPath).data.publicUrl;
+        } catch (error) {
+            console.error('Error copying candidate photo:', error);
+            return null;
+        }
+    }
+
+    /**
+     * POSITION MANAGEMENT
+     */
+
+    // Get position settings for an election, keyed by position title
+    async getPositions(electionId) {
+        try {
+            const { data, error } = await supabase
+                .from('positions')
+                .select('*')
+                .eq('election_id', electionId);
+
+            if (error) throw error;
+
+            const byTitle = (data || []).reduce((acc, position) => {
+                acc[position.title] = position;
+                return acc;
+            }, {});
+
+            return { success: true, data: byTitle };
+        } catch (error) {
+            console.error('Error fetching positions:', error);
+            return { success: false, error: error.message, data: {} };
+        }
+    }
+
+    // Create or update the settings of a position
+    async savePosition(electionId, positionData) {
+        try {
+            const { data, error } = await supabase
+                .from('positions')
+                .upsert([{
+                    election_id: electionId,
+                    title: positionData.title,
+                    voting_method: positionData.voting_method || 'plurality',
+                    min_selections: positionData.min_selections ?? 0,
+                    max_selections: positionData.max_selections ?? 1,
+                    seats: positionData.seats ?? 1,
+                    eligible_groups: positionData.eligible_groups?.length ? positionData.eligible_groups : null,
+                    win_rule: positionData.win_rule || 'plurality',
+                    win_threshold: positionData.win_rule === 'threshold' ? positionData.win_threshold : null
+                }], { onConflict: 'election_id,title' })
+                .select()
+                .single();
+
+            if (error) throw error;
+            return { success: true, data };
+        } catch (error) {
+            console.error('Error saving position:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     /**
      * ELECTION MANAGEMENT
      */
 
-    // Toggle election open/closed status
-    async toggleElectionStatus(electionId, isOpen) {
+    // Move an election to another lifecycle status
+    async updateElectionStatus(electionId, status) {
         try {
+            const { data: current, error: fetchError } = await supabase
+                .from('elections')
+                .select('*')
+                .eq('id', electionId)
+                .single();
+
+            if (fetchError) throw fetchError;
+
+            if (!canTransition(current.status, status)) {
+                throw new Error(`Cannot change an election from ${current.status} to ${status}`);
+            }
+
+            // Certifying also freezes the results, which only certifyElection does
+            if (status === 'certified' && current.status === 'closed') {
+                return await this.certifyElection(electionId);
+            }
+
             const { data, error } = await supabase
                 .from('elections')
-                .update({ is_open: isOpen })
+                .update({ status })
                 .eq('id', electionId)
                 .select()
                 .single();
@@ -125,7 +354,7 @@ class AdminAPI {
             if (error) throw error;
             return { success: true, data };
         } catch (error) {
-            console.error('Error toggling election status:', error);
+            console.error('Error updating election status:', error);
             return { success: false, error: error.message };
         }
     }
@@ -171,7 +400,13 @@ class AdminAPI {
                 .insert([{
                     title: electionData.title,
                     description: electionData.description || null,
-                    is_open: false
+                    starts_at: electionData.starts_at || null,
+                    ends_at: electionData.ends_at || null,
+                    time_zone: electionData.time_zone || null,
+                    voter_auth_mode: electionData.voter_auth_mode || 'fingerprint',
+                    live_results: electionData.live_results || 'hidden',
+                    runoff_of: electionData.runoff_of || null,
+                    status: 'draft'
                 }])
                 .select()
                 .single();
@@ -184,185 +419,1213 @@ class AdminAPI {
         }
     }
 
-    // Delete election
-    async deleteElection(electionId) {
+    // Update an election's details. Fields locked by its status are refused rather than dropped.
+    async updateElection(electionId, updates) {
         try {
-            const { error } = await supabase
+            const before = await this.fetchRow('elections', electionId);
+            if (!before) throw new Error('Election not found');
+
+            const fields = Object.keys(updates).filter(field => EDITABLE_ELECTION_FIELDS.includes(field));
+            const locked = fields.filter(field => getLockedElectionFields(before.status).includes(field));
+
+            if (locked.length > 0) {
+                throw new Error(`${locked.join(', ')} can no longer be changed while the election is ${before.status}`);
+            }
+
+            const changes = {};
+            fields.forEach(field => {
+                changes[field] = updates[field] === '' ? null : updates[field];
+            });
+
+            const { data, error } = await supabase
                 .from('elections')
-                .delete()
-                .eq('id', electionId);
+                .update(changes)
+                .eq('id', electionId)
+                .select();
 
             if (error) throw error;
-            return { success: true };
+
+            // RLS filters out rows the organizer may not update instead of raising an error
+            if (!data || data.length === 0) {
+                throw new Error('Only an owner or manager of this election can edit it');
+            }
+
+            return { success: true, data: data[0] };
         } catch (error) {
-            console.error('Delete election error:', error);
-            return {
-                success: false,
-                error: error.message || 'Failed to delete election'
-            };
+            console.error('Error updating election:', error);
+            return { success: false, error: error.message };
         }
     }
 
-    /**
-     * RESULTS & ANALYTICS
-     */
-
-    // Get aggregated results from election_results view
-    async getElectionResults(electionId) {
+    // Bring an archived election back in the status it was archived from
+    async restoreElection(electionId) {
         try {
+            const before = await this.fetchRow('elections', electionId);
+            if (!before) throw new Error('Election not found');
+
+            const status = getRestoreStatus(before);
+            if (!status) throw new Error('Only archived elections can be restored');
+
+            // The status trigger clears archived_from and any scheduled purge
             const { data, error } = await supabase
-                .from('election_results')
-                .select('*')
-                .eq('election_id', electionId)
-                .order('position', { ascending: true })
-                .order('total_votes', { ascending: false });
+                .from('elections')
+                .update({ status })
+                .eq('id', electionId)
+                .select()
+                .single();
 
             if (error) throw error;
-            return { success: true, data: data || [] };
+            return { success: true, data };
         } catch (error) {
-            console.error('Error fetching election results:', error);
-            return { success: false, error: error.message, data: [] };
+            console.error('Error restoring election:', error);
+            return { success: false, error: error.message };
         }
     }
 
-    // Get results grouped by position
-    async getResultsByPosition(electionId) {
+    // Archive the election and mark it for permanent deletion once the grace period is over
+    async scheduleElectionPurge(electionId) {
         try {
-            const { data, error } = await supabase
-                .from('election_results')
-                .select('*')
-                .eq('election_id', electionId)
-                .order('position', { ascending: true })
-                .order('total_votes', { ascending: false });
+            const before = await this.fetchRow('elections', electionId);
+            if (!before) throw new Error('Election not found');
 
-            if (error) throw error;
+            if (before.status !== 'archived' && !canTransition(before.status, 'archived')) {
+                throw new Error(`A ${before.status} election cannot be deleted. Close or move it back to draft first.`);
+            }
 
-            // Group by position
-            const grouped = (data || []).reduce((acc, result) => {
-                if (!acc[result.position]) {
-                    acc[result.position] = [];
-                }
-                acc[result.position].push(result);
-                return acc;
-            }, {});
+            // The database sets the actual date, so the grace period cannot be shortened
+            const { data, error } = await supabase
+                .from('elections')
+                .update({ status: 'archived', purge_after: new Date().toISOString() })
+                .eq('id', electionId)
+                .select()
+                .single();
 
-            return { success: true, data: grouped };
+            if (error) throw error;
+            return { success: true, data };
         } catch (error) {
-            console.error('Error fetching results by position:', error);
-            return { success: false, error: error.message, data: {} };
+            console.error('Error scheduling election deletion:', error);
+            return { success: false, error: error.message };
         }
     }
 
-    // Get vote count statistics
-    async getVoteStatistics(electionId) {
+    // Keep an archived election that was due to be deleted
+    async cancelElectionPurge(electionId) {
         try {
-            // Get unique voters count
-            const { count: votersCount, error: votersError } = await supabase
-                .from('voters')
-                .select('*', { count: 'exact', head: true })
-                .eq('election_id', electionId);
+            const { data, error } = await supabase
+                .from('elections')
+                .update({ purge_after: null })
+                .eq('id', electionId)
+                .select()
+                .single();
 
-            if (votersError) throw votersError;
+            if (error) throw error;
+            return { success: true, data };
+        } catch (error) {
+            console.error('Error cancelling election deletion:', error);
+            return { success: false, error: error.message };
+        }
+    }
 
-            // Get total votes via results view
-            const { data: resultsData, error: resultsError } = await supabase
-                .from('election_results')
-                .select('total_votes')
-                .eq('election_id', electionId);
+    // Delete an empty draft straight away - used to undo a failed copy.
+    // Every other election goes through scheduleElectionPurge.
+    async deleteElection(electionId) {
+        try {
+            const { data, error } = await supabase
+                .from('elections')
+                .delete()
+                .eq('id', electionId)
+                .select('id');
 
-            if (resultsError) throw resultsError;
+            if (error) throw error;
 
-            const totalVotes = (resultsData || []).reduce((sum, r) => sum + (r.total_votes || 0), 0);
+            // RLS filters out rows the organizer may not delete instead of raising an error
+            if (!data || data.length === 0) {
+                throw new Error('Only an owner can delete an election, and only empty drafts straight away');
+            }
 
-            return {
-                success: true,
-                data: {
-                    totalVotes: totalVotes,
-                    uniqueVoters: votersCount || 0
-                }
-            };
+            return { success: true };
         } catch (error) {
-            console.error('Error fetching vote statistics:', error);
-            return { 
-                success: false, 
-                error: error.message,
-                data: { totalVotes: 0, uniqueVoters: 0 }
+            console.error('Delete election error:', error);
+            return {
+                success: false,
+                error: error.message || 'Failed to delete election'
             };
         }
     }
 
     /**
-     * CSV EXPORT
+     * DUPLICATES & TEMPLATES
      */
 
-    // Generate CSV export of election results
-    async exportResultsToCSV(electionId) {
+    // Copy an election's settings, positions and optionally candidates into a new draft
+    async duplicateElection(electionId, electionData, includeCandidates) {
         try {
-            const resultsResponse = await this.getElectionResults(electionId);
-            
-            if (!resultsResponse.success) {
-                throw new Error(resultsResponse.error);
-            }
-
-            const results = resultsResponse.data;
-
-            // CSV headers
-            const headers = ['Position', 'Candidate Name', 'Total Votes', 'Percentage'];
-            
-            // CSV rows
-            const rows = results.map(result => [
-                result.position,
-                result.candidate_name,
-                result.total_votes,
-                `${result.vote_percentage || 0}%`
+            const [election, positions, candidates] = await Promise.all([
+                this.getElectionStatus(electionId),
+                supabase.from('positions').select('*').eq('election_id', electionId),
+                this.getCandidatesByElection(electionId)
             ]);
 
-            // Combine headers and rows
-            const csvContent = [
-                headers.join(','),
-                ...rows.map(row => row.map(cell => `"${cell}"`).join(','))
-            ].join('\n');
+            const failed = [election, candidates].find(result => !result.success);
+            if (failed) throw new Error(failed.error);
+            if (positions.error) throw positions.error;
 
-            return { success: true, data: csvContent };
+            const blueprint = buildBlueprint(election.data, positions.data, candidates.data, includeCandidates);
+            return await this.createElectionFromBlueprint(blueprint, electionData);
         } catch (error) {
-            console.error('Error generating CSV:', error);
+            console.error('Error duplicating election:', error);
             return { success: false, error: error.message };
         }
     }
 
-    // Download CSV file
-    downloadCSV(csvContent, filename = 'election_results.csv') {
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-        const link = document.createElement('a');
-        const url = URL.createObjectURL(blob);
-        
-        link.setAttribute('href', url);
-        link.setAttribute('download', filename);
-        link.style.visibility = 'hidden';
-        
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-    }
+    // Create a draft election from a blueprint, with the title and schedule from electionData
+    async createElectionFromBlueprint(blueprint, electionData) {
+        if (blueprint.version > BLUEPRINT_VERSION) {
+            return { success: false, error: 'This template was saved by a newer version of the dashboard' };
+        }
+
+        const created = await this.createElection({ ...blueprint.election, ...electionData });
+        if (!created.success) return created;
+
+        const election = created.data;
 
-    // Export and download results
-    async exportAndDownloadResults(electionId, electionTitle = 'election') {
         try {
-            const result = await this.exportResultsToCSV(electionId);
-            
-            if (!result.success) {
-                throw new Error(result.error);
+            if (blueprint.positions.length > 0) {
+                const { error } = await supabase
+                    .from('positions')
+                    .insert(blueprint.positions.map(position => ({ ...position, election_id: election.id })));
+
+                if (error) throw error;
             }
 
-            const timestamp = new Date().toISOString().split('T')[0];
-            const filename = `${electionTitle}_results_${timestamp}.csv`;
-            
-            this.downloadCSV(result.data, filename);
-            
-            return { success: true };
+            if (blueprint.candidates.length > 0) {
+                const rows = [];
+                for (const candidate of blueprint.candidates) {
+                    rows.push({
+                        ...candidate,
+                        election_id: election.id,
+                        image_url: await this.copyCandidatePhoto(candidate.image_url, election.id),
+                        thumbnail_url: await this.copyCandidatePhoto(candidate.thumbnail_url, election.id)
+                    });
+                }
+
+                const { error } = await supabase
+                    .from('candidates')
+                    .insert(rows);
+
+                if (error) throw error;
+            }
+
+            return { success: true, data: election };
         } catch (error) {
-            console.error('Error exporting results:', error);
-            return { success: false, error: error.message };
+            // Don't leave a half-copied draft behind
+            await this.deleteElection(election.id);
+            throw error;
+        }
+    }
+
+    // Create a draft runoff for the positions nobody won outright, linked back to the original election.
+    // The voter roll comes along; token elections need a new batch, as only token hashes are kept.
+    async createRunoffElection(electionId, runoffs, electionData) {
+        try {
+            const [election, positions, candidates] = await Promise.all([
+                this.getElectionStatus(electionId),
+                this.getPositions(electionId),
+                this.getCandidatesByElection(electionId)
+            ]);
+
+            const failed = [election, positions, candidates].find(result => !result.success);
+            if (failed) throw new Error(failed.error);
+
+            if (!['closed', 'certified'].includes(election.data.status)) {
+                throw new Error('A runoff can only be created once voting has closed');
+            }
+
+            const blueprint = buildRunoffBlueprint(election.data, positions.data, candidates.data, runoffs);
+            const created = await this.createElectionFromBlueprint(blueprint, { ...electionData, runoff_of: electionId });
+            if (!created.success) throw new Error(created.error);
+
+            if (election.data.voter_auth_mode === 'roll') {
+                const roll = await this.fetchAllRows(() => supabase
+                    .from('voter_roll')
+                    .select('voter_ref, email, voter_group')
+                    .eq('election_id', electionId)
+                    .order('voter_ref'));
+
+                const imported = roll.length > 0 ? await this.importVoterRoll(created.data.id, roll) : { success: true };
+                if (!imported.success) {
+                    await this.deleteElection(created.data.id);
+                    throw new Error(imported.error);
+                }
+            }
+
+            return { success: true, data: created.data };
+        } catch (error) {
+            console.error('Error creating runoff election:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Saved templates, newest first
+    async getElectionTemplates() {
+        try {
+            const { data, error } = await supabase
+                .from('election_templates')
+                .select('*')
+                .order('created_at', { ascending: false });
+
+            if (error) throw error;
+            return { success: true, data: data || [] };
+        } catch (error) {
+            console.error('Error fetching templates:', error);
+            return { success: false, error: error.message, data: [] };
+        }
+    }
+
+    // Save an election's settings, positions and optionally candidates as a named template
+    async saveElectionTemplate(electionId, name, includeCandidates) {
+        try {
+            const [election, positions, candidates] = await Promise.all([
+                this.getElectionStatus(electionId),
+                supabase.from('positions').select('*').eq('election_id', electionId),
+                this.getCandidatesByElection(electionId)
+            ]);
+
+            const failed = [election, candidates].find(result => !result.success);
+            if (failed) throw new Error(failed.error);
+            if (positions.error) throw positions.error;
+
+            const { data, error } = await supabase
+                .from('election_templates')
+                .insert([{
+                    name,
+                    blueprint: buildBlueprint(election.data, positions.data, candidates.data, includeCandidates),
+                    created_by: authManager.getCurrentUser()?.email || null
+                }])
+                .select()
+                .single();
+
+            if (error) {
+                if (error.code === '23505') throw new Error(`A template called "${name}" already exists`);
+                throw error;
+            }
+
+            return { success: true, data };
+        } catch (error) {
+            console.error('Error saving template:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Start a new draft election from a saved template
+    async createElectionFromTemplate(templateId, electionData) {
+        try {
+            const { data: template, error } = await supabase
+                .from('election_templates')
+                .select('*')
+                .eq('id', templateId)
+                .single();
+
+            if (error) throw error;
+
+            return await this.createElectionFromBlueprint(template.blueprint, electionData);
+        } catch (error) {
+            console.error('Error creating election from template:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Delete a saved template - elections created from it are not affected
+    async deleteElectionTemplate(templateId) {
+        try {
+            const { error } = await supabase
+                .from('election_templates')
+                .delete()
+                .eq('id', templateId);
+
+            if (error) throw error;
+            return { success: true };
+        } catch (error) {
+            console.error('Error deleting template:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * ELECTION ROLES
+     */
+
+    // The signed-in organizer's role on each election, keyed by election ID
+    async getMyElectionRoles() {
+        try {
+            const user = authManager.getCurrentUser();
+
+            const { data, error } = await supabase
+                .from('election_roles')
+                .select('election_id, role')
+                .eq('organizer_email', (user?.email || '').toLowerCase());
+
+            if (error) throw error;
+
+            const roles = {};
+            (data || []).forEach(row => {
+                roles[row.election_id] = row.role;
+            });
+
+            return { success: true, data: roles };
+        } catch (error) {
+            console.error('Error fetching election roles:', error);
+            return { success: false, error: error.message, data: {} };
+        }
+    }
+
+    // Everyone with a role on an election
+    async getElectionRoles(electionId) {
+        try {
+            const { data, error } = await supabase
+                .from('election_roles')
+                .select('*')
+                .eq('election_id', electionId)
+                .order('created_at', { ascending: true });
+
+            if (error) throw error;
+            return { success: true, data: data || [] };
+        } catch (error) {
+            console.error('Error fetching election team:', error);
+            return { success: false, error: error.message, data: [] };
+        }
+    }
+
+    // Give an organizer a role on an election, or change the role they have
+    async setElectionRole(electionId, email, role) {
+        try {
+            const organizerEmail = email.trim().toLowerCase();
+
+            const { data, error } = await supabase
+                .from('election_roles')
+                .upsert({
+                    election_id: electionId,
+                    organizer_email: organizerEmail,
+                    role
+                }, { onConflict: 'election_id,organizer_email' })
+                .select()
+                .single();
+
+            if (error) {
+                // organizer_email references organizers(email)
+                if (error.code === '23503') {
+                    throw new Error(`${organizerEmail} is not an organizer`);
+                }
+                throw error;
+            }
+
+            return { success: true, data };
+        } catch (error) {
+            console.error('Error saving election role:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Take an organizer off an election
+    async removeElectionRole(electionId, email) {
+        try {
+            const { data, error } = await supabase
+                .from('election_roles')
+                .delete()
+                .eq('election_id', electionId)
+                .eq('organizer_email', email)
+                .select();
+
+            if (error) throw error;
+
+            if (!data || data.length === 0) {
+                throw new Error('Only an owner of this election can change its roles');
+            }
+
+            return { success: true };
+        } catch (error) {
+            console.error('Error removing election role:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * VOTER TOKENS
+     */
+
+    // Generate a batch of single-use tokens - only hashes are stored, the plain tokens are returned once
+    async generateVoterTokens(electionId, count, voterGroup = null) {
+        try {
+            const batchId = crypto.randomUUID();
+            const tokens = [];
+            const tokenSet = new Set();
+
+            while (tokenSet.size < count) {
+                tokenSet.add(generateToken());
+            }
+            tokens.push(...tokenSet);
+
+            // The whole batch is stored in one transaction - a batch that fails leaves no tokens behind
+            const { error } = await supabase.rpc('create_voter_tokens', {
+                p_election_id: electionId,
+                p_batch_id: batchId,
+                p_voter_group: voterGroup || null,
+                p_token_hashes: await Promise.all(tokens.map(token => hashToken(token)))
+            });
+
+            if (error) throw error;
+
+            return { success: true, data: { batchId, tokens } };
+        } catch (error) {
+            console.error('Error generating voter tokens:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Count issued and redeemed tokens for an election
+    async getTokenStatistics(electionId) {
+        try {
+            const { count: issued, error: issuedError } = await supabase
+                .from('voter_tokens')
+                .select('*', { count: 'exact', head: true })
+                .eq('election_id', electionId);
+
+            if (issuedError) throw issuedError;
+
+            const { count: used, error: usedError } = await supabase
+                .from('voter_tokens')
+                .select('*', { count: 'exact', head: true })
+                .eq('election_id', electionId)
+                .not('used_at', 'is', null);
+
+            if (usedError) throw usedError;
+
+            return { success: true, data: { issued: issued || 0, used: used || 0 } };
+        } catch (error) {
+            console.error('Error fetching token statistics:', error);
+            return { success: false, error: error.message, data: { issued: 0, used: 0 } };
+        }
+    }
+
+    // Download a token batch for distribution
+    downloadTokens(tokens, electionTitle, batchId, voterGroup = null) {
+        const csvContent = toCSV(
+            ['Token', 'Election', 'Batch', 'Group'],
+            tokens.map(token => [token, electionTitle, batchId, voterGroup || ''])
+        );
+        const slug = electionTitle.toLowerCase().replace(/\s+/g, '_');
+        this.downloadCSV(csvContent, `${slug}_tokens_${batchId.slice(0, 8)}.csv`);
+    }
+
+    /**
+     * VOTER ROLL
+     */
+
+    // Add or update roll entries, matched on voter ID within the election - all of them or none
+    async importVoterRoll(electionId, entries) {
+        try {
+            const { data: imported, error } = await supabase.rpc('import_voter_roll', {
+                p_election_id: electionId,
+                p_entries: entries.map(({ voter_ref, email, voter_group }) => ({ voter_ref, email, voter_group }))
+            });
+
+            if (error) throw error;
+
+            return { success: true, data: { imported } };
+        } catch (error) {
+            console.error('Error importing voter roll:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Number of voters on an election's roll
+    async getVoterRollSize(electionId) {
+        try {
+            const { count, error } = await supabase
+                .from('voter_roll')
+                .select('*', { count: 'exact', head: true })
+                .eq('election_id', electionId);
+
+            if (error) throw error;
+
+            return { success: true, data: count || 0 };
+        } catch (error) {
+            console.error('Error fetching voter roll size:', error);
+            return { success: false, error: error.message, data: 0 };
+        }
+    }
+
+    // Voter groups known for an election, from its whole roll and every token batch
+    async getVoterGroups(electionId) {
+        try {
+            const sources = await Promise.all(['voter_roll', 'voter_tokens'].map(table => this.fetchAllRows(() => supabase
+                .from(table)
+                .select('id, voter_group')
+                .eq('election_id', electionId)
+                .not('voter_group', 'is', null)
+                .order('id', { ascending: true })
+            )));
+
+            const groups = new Set(sources.flatMap(rows => rows.map(row => row.voter_group)));
+            return { success: true, data: [...groups].sort() };
+        } catch (error) {
+            console.error('Error fetching voter groups:', error);
+            return { success: false, error: error.message, data: [] };
+        }
+    }
+
+    /**
+     * RESULTS & ANALYTICS
+     */
+
+    // Get aggregated results from election_results view
+    async getElectionResults(electionId) {
+        try {
+            const { data, error } = await supabase
+                .from('election_results')
+                .select('*')
+                .eq('election_id', electionId)
+                .order('position', { ascending: true })
+                .order('vote_count', { ascending: false });
+
+            if (error) throw error;
+            return { success: true, data: data || [] };
+        } catch (error) {
+            console.error('Error fetching election results:', error);
+            return { success: false, error: error.message, data: [] };
+        }
+    }
+
+    // Get results grouped by position, tallied per position with winners marked.
+    // Certified elections return their certified snapshot instead of a live count.
+    async getResultsByPosition(electionId) {
+        try {
+            const certification = await this.getCertification(electionId);
+            if (!certification.success) throw new Error(certification.error);
+
+            const tallied = certification.data
+                ? groupSnapshot(certification.data.results)
+                : await this.tallyElection(electionId);
+
+            const grouped = {};
+            const ranked = {};
+            const ties = {};
+            const runoffs = {};
+
+            tallied.forEach(position => {
+                grouped[position.position] = position.results;
+                if (position.count) ranked[position.position] = position.count;
+                if (position.tie) ties[position.position] = position.tie;
+                if (position.runoff) runoffs[position.position] = position.runoff;
+            });
+
+            return { success: true, data: grouped, ranked, ties, runoffs, certification: certification.data };
+        } catch (error) {
+            console.error('Error fetching results by position:', error);
+            return { success: false, error: error.message, data: {}, ranked: {}, ties: {}, runoffs: {}, certification: null };
+        }
+    }
+
+    // Count the election's votes as they stand now. Throws on failure.
+    async tallyElection(electionId) {
+        const { data, error } = await supabase
+            .from('election_results')
+            .select('*')
+            .eq('election_id', electionId);
+
+        if (error) throw error;
+
+        const rows = fromViewRows(data || []);
+        const positionsResult = await this.getPositions(electionId);
+        const resolutionsResult = await this.getTieResolutions(electionId);
+        if (!resolutionsResult.success) throw new Error(resolutionsResult.error);
+
+        // Ranked-choice positions are counted round by round from the full rankings
+        const rankings = {};
+        const titles = [...new Set(rows.map(row => row.position))];
+
+        for (const position of titles) {
+            if (positionsResult.data[position]?.voting_method !== 'ranked') continue;
+
+            const ballotsResult = await this.getRankedBallots(electionId, position);
+            if (!ballotsResult.success) throw new Error(ballotsResult.error);
+
+            rankings[position] = ballotsResult.data;
+        }
+
+        return tallyResults(rows, {
+            positions: positionsResult.data,
+            rankings,
+            resolutions: resolutionsResult.data
+        });
+    }
+
+    // Get the full rankings cast for a ranked-choice position - every one, paged past the request limit
+    async getRankedBallots(electionId, position) {
+        try {
+            const votes = await this.fetchAllRows(() => supabase
+                .from('votes')
+                .select('id, ranking')
+                .eq('election_id', electionId)
+                .eq('position', position)
+                .order('id', { ascending: true }));
+
+            return { success: true, data: votes.map(vote => vote.ranking || []) };
+        } catch (error) {
+            console.error('Error fetching ranked ballots:', error);
+            return { success: false, error: error.message, data: [] };
+        }
+    }
+
+    // Eligible voters and how many of them voted, keyed by position
+    async getPositionTurnout(electionId) {
+        try {
+            const { data, error } = await supabase
+                .from('position_turnout')
+                .select('*')
+                .eq('election_id', electionId);
+
+            if (error) throw error;
+
+            const turnout = (data || []).reduce((acc, row) => {
+                acc[row.position] = { eligible: row.eligible_voters, voted: row.voted };
+                return acc;
+            }, {});
+
+            return { success: true, data: turnout };
+        } catch (error) {
+            console.error('Error fetching position turnout:', error);
+            return { success: false, error: error.message, data: {} };
+        }
+    }
+
+    // Results as they stand now - or as certified - in the shape used by every export
+    async getResultsSnapshot(electionId) {
+        try {
+            const resultsResponse = await this.getResultsByPosition(electionId);
+
+            if (!resultsResponse.success) {
+                throw new Error(resultsResponse.error);
+            }
+
+            const certification = resultsResponse.certification;
+            if (certification) {
+                return {
+                    success: true,
+                    data: {
+                        ...certification.results,
+                        certification: {
+                            certified_at: certification.certified_at,
+                            certified_by: certification.certified_by,
+                            ballot_count: certification.ballot_count,
+                            ballot_hash: certification.ballot_hash
+                        }
+                    }
+                };
+            }
+
+            const results = Object.values(resultsResponse.data).flat().map(result => ({
+                position: result.position,
+                candidate_id: result.candidate_id,
+                candidate_name: result.candidate_name,
+                total_votes: result.total_votes,
+                vote_percentage: result.vote_percentage,
+                elected: result.elected
+            }));
+
+            return {
+                success: true,
+                data: {
+                    generated_at: new Date().toISOString(),
+                    results,
+                    ranked: resultsResponse.ranked,
+                    ties: resultsResponse.ties,
+                    runoffs: resultsResponse.runoffs
+                }
+            };
+        } catch (error) {
+            console.error('Error taking results snapshot:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Get vote count statistics
+    async getVoteStatistics(electionId) {
+        try {
+            // Get unique voters count
+            const { count: votersCount, error: votersError } = await supabase
+                .from('voters')
+                .select('*', { count: 'exact', head: true })
+                .eq('election_id', electionId);
+
+            if (votersError) throw votersError;
+
+            // Get total votes via results view
+            const { data: resultsData, error: resultsError } = await supabase
+                .from('election_results')
+                .select('vote_count')
+                .eq('election_id', electionId);
+
+            if (resultsError) throw resultsError;
+
+            const totalVotes = fromViewRows(resultsData || []).reduce((sum, r) => sum + r.total_votes, 0);
+
+            const { data: rollSize } = await this.getVoterRollSize(electionId);
+
+            return {
+                success: true,
+                data: {
+                    totalVotes: totalVotes,
+                    uniqueVoters: votersCount || 0,
+                    rollSize: rollSize
+                }
+            };
+        } catch (error) {
+            console.error('Error fetching vote statistics:', error);
+            return { 
+                success: false, 
+                error: error.message,
+                data: { totalVotes: 0, uniqueVoters: 0, rollSize: 0 }
+            };
+        }
+    }
+
+    /**
+     * CERTIFICATION
+     */
+
+    // The certification of an election's results, or null while they are not certified
+    async getCertification(electionId) {
+        try {
+            const { data, error } = await supabase
+                .from('election_certifications')
+                .select('*')
+                .eq('election_id', electionId)
+                .maybeSingle();
+
+            if (error) throw error;
+            return { success: true, data: data || null };
+        } catch (error) {
+            console.error('Error fetching certification:', error);
+            return { success: false, error: error.message, data: null };
+        }
+    }
+
+    // Every ballot of an election with its votes, anonymized and in archive order
+    async getBallotSet(electionId) {
+        const ballots = await this.fetchAllRows(() => supabase
+            .from('ballots')
+            .select('id, receipt_hash, votes(position, candidate_id, ranking)')
+            .eq('election_id', electionId)
+            .order('id', { ascending: true }));
+
+        return anonymizeBallots(ballots);
+    }
+
+    // Certify a closed election: freeze the current results, fingerprint the ballot set and lock the election.
+    // The server recounts the ballots, hashes them itself, checks the snapshot against the votes,
+    // and records the certification and the status change together.
+    async certifyElection(electionId) {
+        try {
+            const [snapshot, ballots] = await Promise.all([
+                this.getResultsSnapshot(electionId),
+                this.getBallotSet(electionId)
+            ]);
+
+            if (!snapshot.success) throw new Error(snapshot.error);
+            if (Object.values(snapshot.data.ties || {}).some(tie => !tie.resolution)) {
+                throw new Error('Resolve every tie before certifying the results');
+            }
+
+            const { data: certification, error } = await supabase.rpc('certify_election', {
+                p_election_id: electionId,
+                p_results: snapshot.data,
+                p_ballot_count: ballots.length,
+                p_ballot_hash: await hashBallotSet(ballots)
+            });
+
+            if (error) throw error;
+
+            const election = await this.getElectionStatus(electionId);
+            if (!election.success) throw new Error(election.error);
+
+            return { success: true, data: election.data, certification };
+        } catch (error) {
+            console.error('Error certifying election:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Check that the ballots in the database are still the ones that were certified
+    async verifyCertification(electionId) {
+        try {
+            const [certification, ballots] = await Promise.all([
+                this.getCertification(electionId),
+                this.getBallotSet(electionId)
+            ]);
+
+            if (!certification.success) throw new Error(certification.error);
+            if (!certification.data) throw new Error('The results of this election have not been certified');
+
+            return { success: true, data: await verifyBallotSet(certification.data, ballots) };
+        } catch (error) {
+            console.error('Error verifying certification:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * TIE BREAKS
+     */
+
+    // Recorded tie resolutions, keyed by position
+    async getTieResolutions(electionId) {
+        try {
+            const { data, error } = await supabase
+                .from('tie_resolutions')
+                .select('*')
+                .eq('election_id', electionId);
+
+            if (error) throw error;
+
+            const byPosition = (data || []).reduce((acc, resolution) => {
+                acc[resolution.position] = resolution;
+                return acc;
+            }, {});
+
+            return { success: true, data: byPosition };
+        } catch (error) {
+            console.error('Error fetching tie resolutions:', error);
+            return { success: false, error: error.message, data: {} };
+        }
+    }
+
+    // Settle a tie from the tally. Lots are drawn by resolve_tie in the database, from a seed it generates.
+    async resolveTie(electionId, position, tie, { method, winners = [], reason = '' }) {
+        try {
+            const resolution = {
+                method,
+                winners: method === 'manual' ? winners : [],
+                reason: reason.trim() || null
+            };
+
+            const errors = validateTieResolution(tie, resolution);
+            if (errors.length > 0) throw new Error(errors.join('. '));
+
+            const { data, error } = await supabase.rpc('resolve_tie', {
+                p_election_id: electionId,
+                p_position: position,
+                p_method: method,
+                p_tied_candidates: tie.candidates,
+                p_seats: tie.seats,
+                p_elimination: Boolean(tie.elimination),
+                p_winners: resolution.winners,
+                p_reason: resolution.reason
+            });
+
+            if (error) throw error;
+
+            return { success: true, data };
+        } catch (error) {
+            console.error('Error resolving tie:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * CSV EXPORT
+     */
+
+    // Generate CSV export of election results
+    async exportResultsToCSV(electionId) {
+        try {
+            const snapshot = await this.getResultsSnapshot(electionId);
+
+            if (!snapshot.success) {
+                throw new Error(snapshot.error);
+            }
+
+            const results = snapshot.data.results;
+
+            const headers = ['Position', 'Candidate Name', 'Total Votes', 'Percentage'];
+            const rows = results.map(result => [
+                result.position,
+                result.candidate_name,
+                result.total_votes,
+                `${result.vote_percentage}%`
+            ]);
+
+            return { success: true, data: toCSV(headers, rows) };
+        } catch (error) {
+            console.error('Error generating CSV:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Download CSV file
+    downloadCSV(csvContent, filename = 'election_results.csv') {
+        this.downloadFile(csvContent, filename, 'text/csv;charset=utf-8;');
+    }
+
+    // Download any generated file
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        
+        link.setAttribute('href', url);
+        link.setAttribute('download', filename);
+        link.style.visibility = 'hidden';
+        
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
+
+    // Open the browser's print dialog for a standalone HTML document, e.g. to save it as PDF
+    printDocument(html) {
+        const frame = document.createElement('iframe');
+        frame.style.position = 'fixed';
+        frame.style.width = '0';
+        frame.style.height = '0';
+        frame.style.border = '0';
+
+        frame.onload = () => {
+            frame.contentWindow.focus();
+            frame.contentWindow.print();
+            // Printing blocks in most browsers; the delay covers the ones where it does not
+            setTimeout(() => frame.remove(), 1000);
+        };
+
+        frame.srcdoc = html;
+        document.body.appendChild(frame);
+    }
+
+    // Everything the JSON, XLSX and PDF exports are built from
+    async getResultsReport(electionId) {
+        try {
+            const [election, snapshot, positions, turnout, statistics] = await Promise.all([
+                this.getElectionStatus(electionId),
+                this.getResultsSnapshot(electionId),
+                this.getPositions(electionId),
+                this.getPositionTurnout(electionId),
+                this.getVoteStatistics(electionId)
+            ]);
+
+            const failed = [election, snapshot, positions, turnout, statistics].find(result => !result.success);
+            if (failed) throw new Error(failed.error);
+
+            const report = buildResultsReport({
+                election: election.data,
+                snapshot: snapshot.data,
+                positions: positions.data,
+                turnout: turnout.data,
+                statistics: statistics.data,
+                generatedBy: authManager.getCurrentUser()?.email || null
+            });
+
+            return { success: true, data: report };
+        } catch (error) {
+            console.error('Error building results report:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Export and download results as csv, json, xlsx or pdf (printed from the certificate)
+    async exportAndDownloadResults(electionId, electionTitle = 'election', format = 'csv') {
+        try {
+            const timestamp = new Date().toISOString().split('T')[0];
+            const filename = `${electionTitle}_results_${timestamp}`;
+
+            if (format === 'csv') {
+                const result = await this.exportResultsToCSV(electionId);
+                if (!result.success) throw new Error(result.error);
+
+                this.downloadCSV(result.data, `${filename}.csv`);
+                return { success: true };
+            }
+
+            const report = await this.getResultsReport(electionId);
+            if (!report.success) throw new Error(report.error);
+
+            if (format === 'json') {
+                this.downloadFile(JSON.stringify(report.data, null, 2), `${filename}.json`, 'application/json;charset=utf-8;');
+            } else if (format === 'xlsx') {
+                const XLSX = await import(XLSX_MODULE_URL);
+                const workbook = XLSX.utils.book_new();
+
+                reportToSheets(report.data).forEach(sheet => {
+                    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sheet.rows), sheet.name);
+                });
+
+                this.downloadFile(
+                    XLSX.write(workbook, { bookType: 'xlsx', type: 'array' }),
+                    `${filename}.xlsx`,
+                    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+                );
+            } else if (format === 'pdf') {
+                this.printDocument(renderCertificate(report.data));
+            } else {
+                throw new Error(`Unknown export format: ${format}`);
+            }
+
+            return { success: true };
+        } catch (error) {
+            console.error('Error exporting results:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * BACKUP & RESTORE
+     */
+
+    // Page through a query that can return more rows than one request allows
+    async fetchAllRows(buildQuery, pageSize = 1000) {
+        const rows = [];
+
+        for (let from = 0; ; from += pageSize) {
+            const { data, error } = await buildQuery().range(from, from + pageSize - 1);
+
+            if (error) throw error;
+
+            rows.push(...data);
+            if (data.length < pageSize) break;
+        }
+
+        return rows;
+    }
+
+    // Load one row by ID, or null when it is not there or not visible
+    async fetchRow(table, id) {
+        const { data } = await supabase
+            .from(table)
+            .select('*')
+            .eq('id', id)
+            .maybeSingle();
+
+        return data || null;
+    }
+
+    // Collect everything about an election into one archive
+    async exportElectionArchive(electionId) {
+        try {
+            const election = await this.getElectionStatus(electionId);
+            if (!election.success) throw new Error(election.error);
+
+            // The ballots would still be changing under the snapshot
+            if (election.data.status === 'open') {
+                throw new Error('Voting is still open. Back up the election once voting has closed.');
+            }
+
+            const [positions, candidates, ballots, auditLog, results] = await Promise.all([
+                supabase.from('positions').select('*').eq('election_id', electionId),
+                this.getCandidatesByElection(electionId),
+                this.getBallotSet(electionId),
+                this.fetchAllRows(() => supabase
+                    .from('audit_log')
+                    .select('*')
+                    .eq('election_id', electionId)
+                    .order('id', { ascending: true })),
+                this.getResultsSnapshot(electionId)
+            ]);
+
+            if (positions.error) throw positions.error;
+            const failed = [candidates, results].find(result => !result.success);
+            if (failed) throw new Error(failed.error);
+
+            const archive = buildElectionArchive({
+                election: election.data,
+                positions: positions.data,
+                candidates: candidates.data,
+                ballots,
+                auditLog,
+                results: results.data,
+                exportedBy: authManager.getCurrentUser()?.email || null
+            });
+
+            return { success: true, data: archive };
+        } catch (error) {
+            console.error('Error exporting election archive:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Export and download an election archive
+    async downloadElectionArchive(electionId, electionTitle = 'election') {
+        const result = await this.exportElectionArchive(electionId);
+        if (!result.success) return result;
+
+        const timestamp = new Date().toISOString().split('T')[0];
+        this.downloadFile(
+            JSON.stringify(result.data, null, 2),
+            `${electionTitle}_archive_${timestamp}.json`,
+            'application/json;charset=utf-8;'
+        );
+
+        return { success: true, data: result.data };
+    }
+
+    // Recreate an archived election in this project as a new election owned by the caller
+    async restoreElectionArchive(archive) {
+        try {
+            const errors = validateElectionArchive(archive);
+            if (errors.length > 0) throw new Error(errors[0]);
+
+            const { data: electionId, error } = await supabase
+                .rpc('restore_election_archive', { p_archive: archive });
+
+            if (error) throw error;
+
+            const election = await this.fetchRow('elections', electionId);
+            return { success: true, data: election };
+        } catch (error) {
+            console.error('Error restoring election archive:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * AUDIT LOG
+     */
+
+    // Audit entries, newest first, with optional filters
+    async getAuditLog(filters = {}) {
+        try {
+            let query = supabase
+                .from('audit_log')
+                .select('*')
+                .order('id', { ascending: false })
+                .limit(filters.limit || 200);
+
+            if (filters.electionId) query = query.eq('election_id', filters.electionId);
+            if (filters.action) query = query.eq('action', filters.action);
+            if (filters.entityType) query = query.eq('entity_type', filters.entityType);
+            if (filters.actor) query = query.ilike('actor_email', `%${filters.actor}%`);
+
+            const { data, error } = await query;
+
+            if (error) throw error;
+            return { success: true, data: data || [] };
+        } catch (error) {
+            console.error('Error fetching audit log:', error);
+            return { success: false, error: error.message, data: [] };
+        }
+    }
+
+    // Every entry of one election's chain, oldest first - the whole chain is needed to verify it
+    async getAuditChain(electionId) {
+        try {
+            const entries = await this.fetchAllRows(() => supabase
+                .from('audit_log')
+                .select('*')
+                .eq('election_id', electionId)
+                .order('id', { ascending: true }));
+
+            return { success: true, data: entries };
+        } catch (error) {
+            console.error('Error fetching audit chain:', error);
+            return { success: false, error: error.message, data: [] };
         }
     }
 
@@ -0,0 +1,94 @@
+/**
+ * Audit log hash chain
+ * Each entry's hash covers its own fields and the previous entry's hash, so editing
+ * or removing any entry breaks every hash after it. The database writes the entries
+ * (write_audit_entry); the browser recomputes the hashes to check them.
+ */
+
+// prev_hash of the very first entry
+export const GENESIS_HASH = '0'.repeat(64);
+
+export const AUDIT_ACTIONS = {
+    create: 'Created',
+    update: 'Updated',
+    delete: 'Deleted',
+    status: 'Status changed',
+    generate: 'Generated',
+    import: 'Imported',
+    copy: 'Copied',
+    purge: 'Deletion scheduled',
+    cancel_purge: 'Deletion cancelled',
+    resolve_tie: 'Tie resolved',
+    certify: 'Results certified'
+};
+
+/**
+ * Serialize a value as JSON with object keys sorted at every level
+ * jsonb does not keep key order, so hashes are taken over this form instead - canonical_json() in the database
+ * writes the same text
+ * @param {*} value - Any JSON-compatible value
+ * @returns {string} Canonical JSON
+ */
+export function canonicalJSON(value) {
+    if (value === null || value === undefined) return 'null';
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJSON).join(',')}]`;
+    }
+    if (typeof value === 'object') {
+        return `{${Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Hash an audit entry together with the hash it is chained to, as audit_entry_hash() does in the database
+ * @param {Object} entry - Audit entry including prev_hash
+ * @returns {Promise<string>} Hex SHA-256
+ */
+export async function computeEntryHash(entry) {
+    const payload = canonicalJSON({
+        prev_hash: entry.prev_hash,
+        // Normalized so the value hashes the same before and after a round trip through timestamptz
+        recorded_at: new Date(entry.recorded_at).toISOString(),
+        actor_email: entry.actor_email,
+        action: entry.action,
+        entity_type: entry.entity_type,
+        entity_id: entry.entity_id,
+        election_id: entry.election_id,
+        before_data: entry.before_data,
+        after_data: entry.after_data
+    });
+
+    const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(payload));
+    return Array.from(new Uint8Array(hashBuffer))
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Check an entire audit chain - one election's entries, or those belonging to no election
+ * @param {Array<Object>} entries - Every entry of the chain, oldest first
+ * @returns {Promise<{valid: boolean, checked: number, brokenAt: Object|null, reason: string|null}>}
+ */
+export async function verifyAuditChain(entries) {
+    let expectedPrev = GENESIS_HASH;
+
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+
+        if (entry.prev_hash !== expectedPrev) {
+            return { valid: false, checked: i, brokenAt: entry, reason: 'Entry does not follow the one before it - an entry was removed or reordered' };
+        }
+        if (await computeEntryHash(entry) !== entry.hash) {
+            return { valid: false, checked: i, brokenAt: entry, reason: 'Entry contents do not match its hash - it was modified' };
+        }
+
+        expectedPrev = entry.hash;
+    }
+
+    return { valid: true, checked: entries.length, brokenAt: null, reason: null };
+}
@@ -0,0 +1,172 @@
+/**
+ * Election archives
+ * A whole election as one versioned JSON document - settings, positions, candidates, anonymous
+ * ballots, its audit log and a results snapshot - for record keeping or moving it to another project.
+ * Nothing that identifies voters (roll, tokens, device fingerprints) is ever included.
+ */
+
+export const ARCHIVE_FORMAT = 'election-archive';
+export const ARCHIVE_VERSION = 1;
+
+const ELECTION_FIELDS = [
+    'title', 'description', 'status', 'archived_from', 'starts_at', 'ends_at', 'closed_at',
+    'time_zone', 'voter_auth_mode', 'live_results', 'created_at'
+];
+
+const POSITION_FIELDS = [
+    'title', 'voting_method', 'min_selections', 'max_selections', 'seats', 'eligible_groups', 'win_rule', 'win_threshold'
+];
+
+// The candidate ID is kept only so ballots can refer to it; a restore assigns new IDs
+const CANDIDATE_FIELDS = ['id', 'name', 'position', 'description', 'image_url', 'thumbnail_url'];
+
+const AUDIT_FIELDS = [
+    'id', 'recorded_at', 'actor_email', 'action', 'entity_type', 'entity_id',
+    'election_id', 'before_data', 'after_data', 'prev_hash', 'hash'
+];
+
+/**
+ * Copy the listed fields of a row, skipping ones it does not have
+ * @param {Object} row - Source row
+ * @param {Array<string>} fields - Fields to keep
+ * @returns {Object}
+ */
+function pick(row, fields) {
+    const picked = {};
+    fields.forEach(field => {
+        if (row[field] !== undefined) picked[field] = row[field];
+    });
+    return picked;
+}
+
+function compareText(a, b) {
+    return String(a ?? '').localeCompare(String(b ?? ''));
+}
+
+/**
+ * Strip a ballot down to its choices
+ * The ballot's own ID is dropped, and votes are put in a fixed order
+ * @param {Object} ballot - Ballot row with its votes
+ * @returns {{receipt_hash: string|null, votes: Array<Object>}}
+ */
+function anonymizeBallot(ballot) {
+    const votes = (ballot.votes || [])
+        .map(vote => ({
+            position: vote.position,
+            candidate: vote.candidate_id,
+            ranking: vote.ranking || null
+        }))
+        .sort((a, b) => compareText(a.position, b.position) || compareText(a.candidate, b.candidate));
+
+    return { receipt_hash: ballot.receipt_hash || null, votes };
+}
+
+/**
+ * Anonymize ballots and sort them by content, so their order says nothing about when they were cast
+ * @param {Array<Object>} ballots - Ballot rows, each with its votes
+ * @returns {Array<Object>} Ballots as they appear in an archive
+ */
+export function anonymizeBallots(ballots) {
+    return ballots
+        .map(anonymizeBallot)
+        .sort((a, b) => compareText(a.receipt_hash, b.receipt_hash) ||
+            compareText(JSON.stringify(a.votes), JSON.stringify(b.votes)));
+}
+
+/**
+ * Assemble an election archive
+ * @param {Object} parts
+ * @param {Object} parts.election - Election row
+ * @param {Array<Object>} parts.positions - Position rows
+ * @param {Array<Object>} parts.candidates - Candidate rows
+ * @param {Array<Object>} parts.ballots - Ballot rows, each with its votes
+ * @param {Array<Object>} parts.auditLog - The election's audit entries, oldest first
+ * @param {Object} parts.results - Results snapshot
+ * @param {string|null} parts.exportedBy - Email of the organizer exporting
+ * @returns {Object} Archive
+ */
+export function buildElectionArchive({ election, positions, candidates, ballots, auditLog, results, exportedBy }) {
+    return {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exported_at: new Date().toISOString(),
+        exported_by: exportedBy || null,
+        source_election_id: election.id,
+        election: pick(election, ELECTION_FIELDS),
+        positions: positions.map(position => pick(position, POSITION_FIELDS)),
+        candidates: candidates.map(candidate => pick(candidate, CANDIDATE_FIELDS)),
+        ballots: anonymizeBallots(ballots),
+        audit_log: auditLog.map(entry => pick(entry, AUDIT_FIELDS)),
+        results
+    };
+}
+
+/**
+ * Check an archive before restoring it
+ * @param {Object} archive - Parsed archive
+ * @returns {Array<string>} Problems found; empty when the archive can be restored
+ */
+export function validateElectionArchive(archive) {
+    if (!archive || archive.format !== ARCHIVE_FORMAT) {
+        return ['This file is not an election archive'];
+    }
+    if (!Number.isInteger(archive.version) || archive.version > ARCHIVE_VERSION) {
+        return [`This archive was saved by a newer version of the dashboard (format version ${archive.version})`];
+    }
+
+    const errors = [];
+    const lists = ['positions', 'candidates', 'ballots', 'audit_log'];
+
+    if (!archive.election?.title) errors.push('The election has no title');
+    lists.forEach(list => {
+        if (!Array.isArray(archive[list])) errors.push(`"${list}" is missing`);
+    });
+    if (errors.length > 0) return errors;
+
+    const standing = new Map();
+    archive.candidates.forEach((candidate, index) => {
+        if (!candidate.id || !candidate.name || !candidate.position) {
+            errors.push(`Candidate ${index + 1} needs an ID, a name and a position`);
+        } else if (standing.has(candidate.id)) {
+            errors.push(`Candidate ${index + 1} reuses the ID of another candidate`);
+        } else {
+            standing.set(candidate.id, candidate.position);
+        }
+    });
+
+    const titles = new Set();
+    archive.positions.forEach((position, index) => {
+        if (!position.title) errors.push(`Position ${index + 1} has no title`);
+        else if (titles.has(position.title)) errors.push(`Position "${position.title}" appears twice`);
+        titles.add(position.title);
+    });
+
+    archive.ballots.forEach((ballot, index) => {
+        const picks = (ballot.votes || []).flatMap(vote => [vote.candidate, ...(vote.ranking || [])]
+            .map(candidate => ({ candidate, position: vote.position })));
+
+        if (picks.some(choice => standing.get(choice.candidate) !== choice.position)) {
+            errors.push(`Ballot ${index + 1} picks a candidate who is not standing for that position`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Summarize an archive for a restore preview
+ * @param {Object} archive - Valid archive
+ * @returns {Object} Title, status, export details and counts
+ */
+export function describeElectionArchive(archive) {
+    return {
+        title: archive.election.title,
+        status: archive.election.status,
+        exportedAt: archive.exported_at,
+        exportedBy: archive.exported_by,
+        positions: archive.positions.length,
+        candidates: archive.candidates.length,
+        ballots: archive.ballots.length,
+        auditEntries: archive.audit_log.length
+    };
+}
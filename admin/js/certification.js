@@ -0,0 +1,67 @@
+/**
+ * Results certification
+ * A fingerprint of an election's ballot set, taken when its results are certified. The database
+ * computes it with ballot_set_hash(); this module computes the same hash from anonymized ballots,
+ * so an archive's ballots can be checked against the certification as well as the ballots in the database.
+ */
+
+export const BALLOT_HASH_ALGORITHM = 'SHA-256';
+
+/**
+ * Compare strings by code point, which is how Postgres orders UTF-8 text with COLLATE "C"
+ * (plain < compares UTF-16 code units, which differs for characters outside the BMP)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function compareCodePoints(a, b) {
+    let i = 0;
+    while (i < a.length && i < b.length && a[i] === b[i]) i++;
+    return (a.codePointAt(i) ?? -1) - (b.codePointAt(i) ?? -1);
+}
+
+/**
+ * Serialize a ballot set the way ballot_set_hash() does
+ * Each vote is [position, candidate, ranking], each ballot [receipt_hash, [votes]], and the set is a
+ * list of ballots. JSON without spaces, votes and ballots sorted by their serialized form.
+ * @param {Array<Object>} ballots - Anonymized ballots, from anonymizeBallots or an archive
+ * @returns {string}
+ */
+export function serializeBallotSet(ballots) {
+    const lines = ballots.map(ballot => {
+        const votes = ballot.votes
+            .map(vote => JSON.stringify([vote.position, vote.candidate, vote.ranking ?? null]))
+            .sort(compareCodePoints);
+        return `[${JSON.stringify(ballot.receipt_hash ?? null)},[${votes.join(',')}]]`;
+    });
+
+    return `[${lines.sort(compareCodePoints).join(',')}]`;
+}
+
+/**
+ * Hash a ballot set
+ * @param {Array<Object>} ballots - Anonymized ballots, from anonymizeBallots or an archive
+ * @returns {Promise<string>} Hex-encoded SHA-256 hash
+ */
+export async function hashBallotSet(ballots) {
+    const hashBuffer = await crypto.subtle.digest(BALLOT_HASH_ALGORITHM, new TextEncoder().encode(serializeBallotSet(ballots)));
+    return Array.from(new Uint8Array(hashBuffer))
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Compare a ballot set with the one that was certified
+ * @param {Object} certification - Certification row
+ * @param {Array<Object>} ballots - Anonymized ballots
+ * @returns {Promise<{valid: boolean, ballotCount: number, hash: string}>}
+ */
+export async function verifyBallotSet(certification, ballots) {
+    const hash = await hashBallotSet(ballots);
+
+    return {
+        valid: hash === certification.ballot_hash && ballots.length === certification.ballot_count,
+        ballotCount: ballots.length,
+        hash
+    };
+}
@@ -0,0 +1,74 @@
+/**
+ * CSV helpers
+ * RFC 4180 style: every cell quoted, embedded quotes doubled
+ */
+
+/**
+ * Quote a single CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} Quoted cell
+ */
+function escapeCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Build CSV text from a header row and data rows
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<*>>} rows - Data rows
+ * @returns {string} CSV content
+ */
+export function toCSV(headers, rows) {
+    return [headers, ...rows]
+        .map(row => row.map(escapeCell).join(','))
+        .join('\n');
+}
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted cells, doubled quotes, embedded newlines and CRLF line endings
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows, blank lines skipped
+ */
+export function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    row.push(cell);
+    rows.push(row);
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
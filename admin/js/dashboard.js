@@ -1,14 +1,71 @@
 import { authManager } from './auth.js';
 import { adminAPI } from './api.js';
+import { parseVoterRoll } from './roll.js';
+import { parseSlate } from './slate.js';
+import { describeBlueprint } from './templates.js';
+import { validateElectionArchive, describeElectionArchive } from './backup.js';
+import {
+    PHOTO_SIZE,
+    THUMBNAIL_SIZE,
+    validatePhotoFile,
+    loadPhoto,
+    getCropRect,
+    drawCrop,
+    renderPhoto
+} from './photos.js';
+import { AUDIT_ACTIONS, verifyAuditChain } from './audit.js';
+import { TIE_BREAK_METHODS, describeTieResolution } from './ties.js';
+import { describeWinRule } from '../../site/js/tally.js';
+import { escapeHtml } from '../../site/js/html.js';
+import {
+    getLocalTimeZone,
+    getTimeZones,
+    zonedTimeToUtc,
+    utcToZonedTime,
+    formatInTimeZone,
+    getNextScheduledEvent,
+    formatCountdown
+} from './schedule.js';
+import {
+    STATUS_LABELS,
+    STATUS_ICONS,
+    canTransition,
+    canEditCandidates,
+    isReadOnly,
+    getLockedElectionFields,
+    getRestoreStatus,
+    LIVE_RESULTS_MODES,
+    PURGE_GRACE_DAYS
+} from './lifecycle.js';
+import {
+    ELECTION_ROLES,
+    ROLE_LABELS,
+    ROLE_DESCRIPTIONS,
+    hasPermission,
+    canSetStatus
+} from './roles.js';
 
 // State
 let currentElection = null;
 let allElections = [];
-let isSessionOpen = false;
+let archivedElections = [];
+let myRoles = {};
 let candidates = [];
+let positionSettings = {};
+let positionTitles = [];
 let resultsRefreshInterval = null;
 let votesSubscription = null;
+let countdownInterval = null;
 let editingCandidateId = null;
+let pendingRollEntries = [];
+let pendingSlateEntries = [];
+let candidatePhoto = { image: null, zoom: 1, panX: 0, panY: 0, removed: false };
+let electionTemplates = [];
+let editingElectionId = null;
+let pendingArchive = null;
+let currentTies = [];
+let resolvingTie = null;
+let currentRunoffs = { positions: {}, names: {} };
 
 // Initialize dashboard
 async function init() {
@@ -20,6 +77,7 @@ async function init() {
 
     // Setup event listeners first
     setupEventListeners();
+    populateTimeZones();
 
     // Load all elections and populate dropdown
     await loadAllElections();
@@ -43,16 +101,57 @@ function setupEventListeners() {
     document.getElementById('electionSelect').addEventListener('change', handleElectionChange);
 
     // Election creation
-    document.getElementById('createElectionBtn').addEventListener('click', openElectionModal);
+    document.getElementById('createElectionBtn').addEventListener('click', () => openElectionModal());
+    document.getElementById('editElectionBtn').addEventListener('click', () => openElectionModal(currentElection));
     document.getElementById('electionForm').addEventListener('submit', handleElectionSubmit);
     document.getElementById('electionCancelBtn').addEventListener('click', closeElectionModal);
+    document.getElementById('electionTemplate').addEventListener('change', applyElectionTemplate);
+    document.getElementById('deleteTemplateBtn').addEventListener('click', deleteSelectedTemplate);
+
+    // Duplicate election
+    document.getElementById('duplicateElectionBtn').addEventListener('click', openDuplicateModal);
+    document.getElementById('duplicateForm').addEventListener('submit', handleDuplicateSubmit);
+    document.getElementById('duplicateCancelBtn').addEventListener('click', closeDuplicateModal);
+    document.getElementById('duplicateTarget').addEventListener('change', updateDuplicateForm);
+
+    document.getElementById('tieForm').addEventListener('submit', handleTieSubmit);
+    document.getElementById('tieCancelBtn').addEventListener('click', closeTieModal);
+    document.getElementById('tieMethod').addEventListener('change', updateTieForm);
+
+    document.getElementById('runoffForm').addEventListener('submit', handleRunoffSubmit);
+    document.getElementById('runoffCancelBtn').addEventListener('click', closeRunoffModal);
 
     // Session controls
+    document.getElementById('scheduleVotingBtn').addEventListener('click', () => {
+        if (!currentElection.starts_at) {
+            showErrorModal('No Start Time', 'Set a start time for this election before scheduling it.');
+            return;
+        }
+        if (currentElection.ends_at && new Date(currentElection.ends_at) <= new Date()) {
+            showErrorModal('End Time Passed', 'The end time of this election has already passed. Set a later one before scheduling it.');
+            return;
+        }
+
+        showConfirmModal(
+            'Schedule Voting',
+            `Voting will open automatically on ${formatInTimeZone(currentElection.starts_at, currentElection.time_zone)}. Candidates cannot be changed while the election is scheduled.`,
+            () => changeElectionStatus('scheduled')
+        );
+    });
+
+    document.getElementById('revertDraftBtn').addEventListener('click', () => {
+        showConfirmModal(
+            'Move Back to Draft',
+            'The election will no longer open automatically, and candidates can be edited again.',
+            () => changeElectionStatus('draft')
+        );
+    });
+
     document.getElementById('startVotingBtn').addEventListener('click', () => {
         showConfirmModal(
             'Start Voting Session',
             'Are you sure you want to start voting? Candidate management will be disabled during the session. Voters will be able to vote for ALL positions in one go.',
-            () => toggleSession(true)
+            () => changeElectionStatus('open')
         );
     });
 
@@ -60,13 +159,97 @@ function setupEventListeners() {
         showConfirmModal(
             'End Voting Session',
             '⚠️ WARNING: This action is irreversible. Are you absolutely sure you want to end voting? No more votes can be cast after this.',
-            () => toggleSession(false),
+            () => changeElectionStatus('closed'),
             true
         );
     });
 
+    document.getElementById('certifyResultsBtn').addEventListener('click', () => {
+        showConfirmModal(
+            'Certify Results',
+            'Certifying freezes the current results as the official results and records a fingerprint of every ballot. The election becomes read-only and cannot be changed afterwards.',
+            () => changeElectionStatus('certified'),
+            true
+        );
+    });
+
+    document.getElementById('archiveElectionBtn').addEventListener('click', () => {
+        showConfirmModal(
+            'Archive Election',
+            'Archived elections are kept for the record but become read-only and leave the election list. You can restore it from Archived at any time.',
+            () => changeElectionStatus('archived')
+        );
+    });
+
+    // Archived elections
+    document.getElementById('archivedElectionsBtn').addEventListener('click', openArchivedModal);
+    document.getElementById('archivedCloseBtn').addEventListener('click', closeArchivedModal);
+
     document.getElementById('exportResultsBtn').addEventListener('click', exportResults);
 
+    // Backup & restore
+    document.getElementById('backupElectionBtn').addEventListener('click', backupElection);
+    document.getElementById('restoreBackupBtn').addEventListener('click', openRestoreModal);
+    document.getElementById('restoreFile').addEventListener('change', handleRestoreFileChange);
+    document.getElementById('restoreForm').addEventListener('submit', handleRestoreSubmit);
+    document.getElementById('restoreCancelBtn').addEventListener('click', closeRestoreModal);
+
+    // Voter tokens
+    document.getElementById('voterTokensBtn').addEventListener('click', openTokensModal);
+    document.getElementById('tokensForm').addEventListener('submit', handleTokensSubmit);
+    document.getElementById('tokensCancelBtn').addEventListener('click', closeTokensModal);
+
+    // Candidate photos
+    document.getElementById('candidatePhotoFile').addEventListener('change', handleCandidatePhotoChange);
+    document.getElementById('candidatePhotoZoom').addEventListener('input', (e) => {
+        candidatePhoto.zoom = parseFloat(e.target.value);
+        drawCandidatePhoto();
+    });
+    document.getElementById('candidatePhotoRemoveBtn').addEventListener('click', removeCandidatePhoto);
+    setupPhotoDragging(document.getElementById('candidatePhotoCanvas'));
+
+    // Candidate slates
+    document.getElementById('candidateSlateBtn').addEventListener('click', openSlateModal);
+    document.getElementById('slateFile').addEventListener('change', handleSlateFileChange);
+    document.getElementById('slateForm').addEventListener('submit', handleSlateSubmit);
+    document.getElementById('slateCancelBtn').addEventListener('click', closeSlateModal);
+    document.getElementById('slateExportBtn').addEventListener('click', exportSlate);
+
+    // Election roles
+    document.getElementById('electionRolesBtn').addEventListener('click', openRolesModal);
+    document.getElementById('rolesForm').addEventListener('submit', handleRoleSubmit);
+    document.getElementById('rolesCancelBtn').addEventListener('click', closeRolesModal);
+    document.getElementById('rolesCloseBtn').addEventListener('click', closeRolesModal);
+    document.getElementById('roleSelect').innerHTML = ELECTION_ROLES.map(role =>
+        `<option value="${role}">${ROLE_LABELS[role]}</option>`
+    ).join('');
+    document.getElementById('roleSelect').addEventListener('change', updateRoleDescription);
+
+    // Tabs
+    document.querySelectorAll('.tab-btn').forEach(tab => {
+        tab.addEventListener('click', () => switchTab(tab.dataset.tab));
+    });
+
+    // Audit log
+    document.getElementById('auditAction').innerHTML += Object.entries(AUDIT_ACTIONS).map(([action, label]) =>
+        `<option value="${action}">${label}</option>`
+    ).join('');
+    ['auditScope', 'auditAction', 'auditEntity'].forEach(id => {
+        document.getElementById(id).addEventListener('change', loadAuditLog);
+    });
+    let auditActorTimeout = null;
+    document.getElementById('auditActor').addEventListener('input', () => {
+        clearTimeout(auditActorTimeout);
+        auditActorTimeout = setTimeout(loadAuditLog, 300);
+    });
+    document.getElementById('verifyChainBtn').addEventListener('click', verifyAuditLog);
+
+    // Voter roll
+    document.getElementById('voterRollBtn').addEventListener('click', openRollModal);
+    document.getElementById('rollFile').addEventListener('change', handleRollFileChange);
+    document.getElementById('rollForm').addEventListener('submit', handleRollSubmit);
+    document.getElementById('rollCancelBtn').addEventListener('click', closeRollModal);
+
     // Candidate management
     document.getElementById('addCandidateBtn').addEventListener('click', () => {
         openCandidateModal();
@@ -75,6 +258,13 @@ function setupEventListeners() {
     document.getElementById('candidateForm').addEventListener('submit', handleCandidateSubmit);
     document.getElementById('candidateCancelBtn').addEventListener('click', closeCandidateModal);
 
+    // Position settings
+    document.getElementById('positionForm').addEventListener('submit', handlePositionSubmit);
+    document.getElementById('positionCancelBtn').addEventListener('click', closePositionModal);
+    document.getElementById('positionVotingMethod').addEventListener('change', updatePositionFormFields);
+    document.getElementById('positionSeats').addEventListener('input', updatePositionFormFields);
+    document.getElementById('positionWinRule').addEventListener('change', updatePositionFormFields);
+
     // Modals
     document.getElementById('confirmCancelBtn').addEventListener('click', closeConfirmModal);
     
@@ -87,7 +277,17 @@ function setupEventListeners() {
             const modal = e.target.parentElement;
             if (modal.id === 'confirmModal') closeConfirmModal();
             else if (modal.id === 'candidateModal') closeCandidateModal();
+            else if (modal.id === 'positionModal') closePositionModal();
             else if (modal.id === 'electionModal') closeElectionModal();
+            else if (modal.id === 'tokensModal') closeTokensModal();
+            else if (modal.id === 'rollModal') closeRollModal();
+            else if (modal.id === 'rolesModal') closeRolesModal();
+            else if (modal.id === 'slateModal') closeSlateModal();
+            else if (modal.id === 'duplicateModal') closeDuplicateModal();
+            else if (modal.id === 'archivedModal') closeArchivedModal();
+            else if (modal.id === 'restoreModal') closeRestoreModal();
+            else if (modal.id === 'tieModal') closeTieModal();
+            else if (modal.id === 'runoffModal') closeRunoffModal();
             else if (modal.id === 'deleteElectionModal') hideModal(document.getElementById('deleteElectionModal'));
             else if (modal.id === 'successModal') closeSuccessModal();
         }
@@ -109,6 +309,7 @@ function setupEventListeners() {
         if (!currentElection) return;
         
         deleteElectionName.value = currentElection.title;
+        document.getElementById('deleteGraceDays').textContent = PURGE_GRACE_DAYS;
         deletePassword.value = '';
         hideDeleteError();
         showModal(deleteElectionModal);
@@ -141,11 +342,14 @@ function setupEventListeners() {
             }
             
             setDeleteLoading(true);
-            const result = await adminAPI.deleteElection(currentElection.id);
-            
+            const result = await adminAPI.scheduleElectionPurge(currentElection.id);
+
             if (result.success) {
-                // Deletion successful - refresh the page to reload everything
-                window.location.reload();
+                setDeleteLoading(false);
+                hideModal(deleteElectionModal);
+                await reloadElections();
+                showSuccessModal('Deletion Scheduled',
+                    `"${result.data.title}" has been archived and will be permanently deleted on ${new Date(result.data.purge_after).toLocaleString()}. Until then you can cancel the deletion from Archived.`);
             } else {
                 setDeleteLoading(false);
                 showDeleteError(result.error || 'Failed to delete election');
@@ -183,15 +387,23 @@ function setupEventListeners() {
 
 // Election Management
 async function loadAllElections() {
-    const result = await adminAPI.getAllElections();
-    
-    if (result.success && result.data && result.data.length > 0) {
-        allElections = result.data;
+    const [result, rolesResult] = await Promise.all([
+        adminAPI.getAllElections(),
+        adminAPI.getMyElectionRoles()
+    ]);
+    myRoles = rolesResult.data;
+
+    // Only list the elections this organizer has a role on. Archived ones are listed separately.
+    const elections = (result.data || []).filter(election => myRoles[election.id] && election.status !== 'archived');
+    archivedElections = (result.data || []).filter(election => myRoles[election.id] && election.status === 'archived');
+    document.getElementById('archivedCount').textContent = archivedElections.length;
+
+    if (result.success && elections.length > 0) {
+        allElections = elections;
         populateElectionDropdown();
         
         // Select the most recent election by default
         currentElection = allElections[0];
-        isSessionOpen = currentElection.is_open;
         updateElectionUI();
         
         // Return true to indicate elections were loaded
@@ -200,7 +412,6 @@ async function loadAllElections() {
         // No elections exist - show empty state
         allElections = [];
         currentElection = null;
-        isSessionOpen = false;
         
         document.getElementById('electionSelect').innerHTML = 
             '<option value="">No elections available</option>';
@@ -220,10 +431,15 @@ function populateElectionDropdown() {
     const dropdown = document.getElementById('electionSelect');
     
     dropdown.innerHTML = allElections.map(election => {
-        const status = election.is_open ? '🟢 LIVE' : '🔴 CLOSED';
+        const status = `${STATUS_ICONS[election.status] || ''} ${(STATUS_LABELS[election.status] || '').toUpperCase()}`;
         const date = new Date(election.created_at).toLocaleDateString();
-        return `<option value="${election.id}">${election.title} - ${status} (${date})</option>`;
+        return `<option value="${election.id}">${escapeHtml(election.title)} - ${status} (${date})</option>`;
     }).join('');
+
+    // An archived election being viewed is shown until another one is picked
+    if (currentElection?.status === 'archived') {
+        dropdown.innerHTML += `<option value="${currentElection.id}">${escapeHtml(currentElection.title)} - ${STATUS_ICONS.archived} ${STATUS_LABELS.archived.toUpperCase()}</option>`;
+    }
     
     // Set selected value to current election
     if (currentElection) {
@@ -237,7 +453,6 @@ async function handleElectionChange(e) {
     if (!electionId) {
         // No election selected - could be triggered programmatically
         currentElection = null;
-        isSessionOpen = false;
         showEmptyElectionState();
         updateElectionUI();
         return;
@@ -254,10 +469,9 @@ async function handleElectionChange(e) {
     }
     
     // Load new election
-    const election = allElections.find(e => e.id === electionId);
+    const election = [...allElections, ...archivedElections].find(e => e.id === electionId);
     if (election) {
         currentElection = election;
-        isSessionOpen = currentElection.is_open;
         updateElectionUI();
         
         // Reload data for selected election
@@ -267,57 +481,134 @@ async function handleElectionChange(e) {
         // Always restart auto-refresh and subscriptions for admin
         startResultsAutoRefresh();
         subscribeToLiveVotes();
+
+        if (!document.getElementById('auditTab').classList.contains('hidden')) {
+            await loadAuditLog();
+        }
     }
 }
 
-async function toggleSession(open) {
-    const result = await adminAPI.toggleElectionStatus(currentElection.id, open);
-    
-    if (result.success) {
-        isSessionOpen = open;
+const STATUS_CHANGE_MESSAGES = {
+    draft: 'The election is back in draft. Candidates can be edited again.',
+    scheduled: 'Voting will open and close automatically on schedule.',
+    open: 'Voting has been successfully started. Voters can now cast their votes.',
+    closed: 'Voting has been successfully ended. No more votes can be accepted.',
+    certified: 'The results are now certified and frozen, and the election is read-only.',
+    archived: 'The election has been archived. You can find it under Archived.'
+};
+
+async function changeElectionStatus(status) {
+    const result = await adminAPI.updateElectionStatus(currentElection.id, status);
+
+    if (result.success && status === 'archived') {
+        closeConfirmModal();
+        await reloadElections();
+        showSuccessModal('Election Updated', STATUS_CHANGE_MESSAGES[status]);
+    } else if (result.success) {
         currentElection = result.data;
+        allElections = allElections.map(e => e.id === currentElection.id ? currentElection : e);
+        populateElectionDropdown();
         updateElectionUI();
-        await loadAllElections();
+        await loadCandidates();
         await loadResults();
         closeConfirmModal();
         
-        const action = open ? 'started' : 'ended';
-        showSuccessModal(
-            'Voting Session Updated',
-            `Voting has been successfully ${action}. ${open ? 'Voters can now cast their votes.' : 'No more votes can be accepted.'}`
-        );
+        showSuccessModal('Election Updated', STATUS_CHANGE_MESSAGES[status]);
     } else {
         closeConfirmModal();
-        showErrorModal('Error', 'Failed to update session: ' + result.error);
+        showErrorModal('Error', 'Failed to update election: ' + result.error);
     }
 }
 
+function getCurrentRole() {
+    return currentElection ? myRoles[currentElection.id] || null : null;
+}
+
+function candidatesEditable() {
+    return currentElection !== null &&
+        canEditCandidates(currentElection.status) &&
+        hasPermission(getCurrentRole(), 'manage');
+}
+
 function updateElectionUI() {
     // Update session badge
     const badge = document.getElementById('sessionBadge');
     
     if (currentElection) {
-        badge.textContent = isSessionOpen ? 'Voting Open' : 'Voting Closed';
-        badge.className = `session-badge ${isSessionOpen ? 'open' : 'closed'}`;
+        const status = currentElection.status;
+        badge.textContent = STATUS_LABELS[status] || status;
+        badge.className = `session-badge ${['open', 'scheduled', 'certified'].includes(status) ? status : 'closed'}`;
     } else {
         badge.textContent = 'No Election';
         badge.className = 'session-badge closed';
     }
 
-    // Update button states
+    const role = getCurrentRole();
+    const roleBadge = document.getElementById('roleBadge');
+    roleBadge.textContent = role ? `Your role: ${ROLE_LABELS[role]}` : '';
+    roleBadge.classList.toggle('hidden', !role);
+
+    // Hide what the role can never do; disable what the lifecycle does not allow right now
     const hasElection = currentElection !== null;
-    document.getElementById('deleteElectionBtn').disabled = !hasElection;
-    document.getElementById('startVotingBtn').disabled = !hasElection || isSessionOpen;
-    document.getElementById('endVotingBtn').disabled = !hasElection || !isSessionOpen;
-    document.getElementById('addCandidateBtn').disabled = !hasElection || isSessionOpen;
+    const status = currentElection?.status;
+    const allows = (target) => hasElection && canTransition(status, target) && canSetStatus(role, target);
+    const roleButtons = {
+        deleteElectionBtn: 'delete',
+        editElectionBtn: 'manage',
+        scheduleVotingBtn: 'manage',
+        revertDraftBtn: 'manage',
+        startVotingBtn: 'manage',
+        endVotingBtn: 'manage',
+        certifyResultsBtn: 'certify',
+        archiveElectionBtn: 'certify',
+        voterTokensBtn: 'manage',
+        voterRollBtn: 'manage',
+        addCandidateBtn: 'manage'
+    };
+    Object.entries(roleButtons).forEach(([id, permission]) => {
+        document.getElementById(id).classList.toggle('hidden', hasElection && !hasPermission(role, permission));
+    });
+
+    document.getElementById('deleteElectionBtn').disabled = !hasElection || !hasPermission(role, 'delete') ||
+        !!currentElection.purge_after || !(status === 'archived' || canTransition(status, 'archived'));
+    document.getElementById('editElectionBtn').disabled = !hasElection || isReadOnly(status) || !hasPermission(role, 'manage');
+    document.getElementById('scheduleVotingBtn').disabled = !allows('scheduled');
+    document.getElementById('revertDraftBtn').disabled = !allows('draft');
+    document.getElementById('startVotingBtn').disabled = !allows('open');
+    document.getElementById('endVotingBtn').disabled = !allows('closed');
+    updateCertifyButton();
+    document.getElementById('archiveElectionBtn').disabled = !allows('archived');
+    document.getElementById('addCandidateBtn').disabled = !candidatesEditable();
     document.getElementById('exportResultsBtn').disabled = !hasElection;
+    document.getElementById('exportResultsFormat').disabled = !hasElection;
+    document.getElementById('backupElectionBtn').disabled = !hasElection || status === 'open';
+    document.getElementById('voterTokensBtn').disabled =
+        !hasElection || currentElection.voter_auth_mode !== 'token' || isReadOnly(status) || !hasPermission(role, 'manage');
+    document.getElementById('voterRollBtn').disabled =
+        !hasElection || currentElection.voter_auth_mode !== 'roll' || isReadOnly(status) || !hasPermission(role, 'manage');
+    document.getElementById('electionRolesBtn').disabled = !hasElection;
+    document.getElementById('candidateSlateBtn').disabled = !hasElection;
+    document.getElementById('duplicateElectionBtn').disabled = !hasElection;
+
+    // The public results page is served by the voting site, next to the dashboard
+    const liveResultsLink = document.getElementById('liveResultsLink');
+    liveResultsLink.classList.toggle('hidden', !hasElection);
+    if (hasElection) {
+        liveResultsLink.href = `../site/index.html?election=${encodeURIComponent(currentElection.id)}&view=live`;
+        liveResultsLink.textContent = status === 'open'
+            ? `📺 Public page: ${LIVE_RESULTS_MODES[currentElection.live_results || 'hidden']}`
+            : '📺 Public page';
+    }
 
     // Show/hide warning
-    document.getElementById('sessionWarning').classList.toggle('hidden', !isSessionOpen);
+    document.getElementById('sessionWarning').classList.toggle('hidden',
+        !hasElection || !hasPermission(role, 'manage') || candidatesEditable());
+
+    startCountdown();
 
     // Update candidate action buttons
-    document.querySelectorAll('.btn-edit, .btn-delete').forEach(btn => {
-        btn.disabled = isSessionOpen;
+    document.querySelectorAll('#candidatesList .btn-edit, #candidatesList .btn-delete').forEach(btn => {
+        btn.disabled = !candidatesEditable();
     });
 }
 
@@ -362,24 +653,206 @@ function showEmptyElectionState() {
     document.getElementById('voteStats').innerHTML = '';
 }
 
+// Election Schedule
+function populateTimeZones() {
+    const localZone = getLocalTimeZone();
+    document.getElementById('electionTimeZone').innerHTML = getTimeZones().map(zone => 
+        `<option value="${zone}" ${zone === localZone ? 'selected' : ''}>${zone.replace(/_/g, ' ')}</option>`
+    ).join('');
+}
+
+function startCountdown() {
+    if (countdownInterval) {
+        clearInterval(countdownInterval);
+        countdownInterval = null;
+    }
+
+    updateCountdown();
+    if (getNextScheduledEvent(currentElection)) {
+        countdownInterval = setInterval(updateCountdown, 1000);
+    }
+}
+
+// Certifying needs every tie resolved first - resolve_tie refuses once the election is certified
+function updateCertifyButton() {
+    const button = document.getElementById('certifyResultsBtn');
+    const allowed = currentElection !== null &&
+        canTransition(currentElection.status, 'certified') && canSetStatus(getCurrentRole(), 'certified');
+    const unresolved = currentTies.length > 0;
+
+    button.disabled = !allowed || unresolved;
+    button.title = allowed && unresolved ? 'Resolve every tie before certifying the results' : '';
+}
+
+function updateCountdown() {
+    const countdown = document.getElementById('scheduleCountdown');
+    const event = getNextScheduledEvent(currentElection);
+
+    if (!event) {
+        countdown.classList.add('hidden');
+        return;
+    }
+
+    const remaining = event.target - Date.now();
+    countdown.classList.remove('hidden');
+    countdown.textContent = `${event.label} ${formatCountdown(remaining)}`;
+    countdown.title = formatInTimeZone(new Date(event.target).toISOString(), currentElection.time_zone);
+
+    // The scheduler flips the election server-side; pick up the new state shortly after
+    if (remaining <= 0) {
+        clearInterval(countdownInterval);
+        countdownInterval = null;
+        setTimeout(refreshCurrentElection, 5000);
+    }
+}
+
+async function refreshCurrentElection() {
+    if (!currentElection) return;
+
+    const result = await adminAPI.getElectionStatus(currentElection.id);
+    if (result.success) {
+        currentElection = result.data;
+        allElections = allElections.map(e => e.id === currentElection.id ? currentElection : e);
+        populateElectionDropdown();
+        updateElectionUI();
+        await loadResults();
+
+        // Still waiting on the scheduler - check again
+        const event = getNextScheduledEvent(currentElection);
+        if (event && event.target <= Date.now()) {
+            setTimeout(refreshCurrentElection, 15000);
+        }
+    }
+}
+
 // Election Management
-function openElectionModal() {
-    document.getElementById('electionTitle').value = '';
-    document.getElementById('electionDescription').value = '';
+const ELECTION_FIELD_INPUTS = {
+    title: 'electionTitle',
+    description: 'electionDescription',
+    starts_at: 'electionStartsAt',
+    ends_at: 'electionEndsAt',
+    time_zone: 'electionTimeZone',
+    voter_auth_mode: 'electionVoterAuthMode',
+    live_results: 'electionLiveResults'
+};
+
+// Without an election the modal creates one; with one it edits it
+async function openElectionModal(election = null) {
+    editingElectionId = election?.id || null;
+    const timeZone = election?.time_zone || getLocalTimeZone();
+
+    document.getElementById('electionModalTitle').textContent = election ? 'Edit Election' : 'Create New Election';
+    document.getElementById('electionSubmitBtn').textContent = election ? 'Save Changes' : 'Create Election';
+    document.getElementById('electionTemplateGroup').classList.toggle('hidden', !!election);
+
+    document.getElementById('electionTitle').value = election?.title || '';
+    document.getElementById('electionDescription').value = election?.description || '';
+    document.getElementById('electionStartsAt').value = utcToZonedTime(election?.starts_at, timeZone);
+    document.getElementById('electionEndsAt').value = utcToZonedTime(election?.ends_at, timeZone);
+    document.getElementById('electionTimeZone').value = timeZone;
+    document.getElementById('electionVoterAuthMode').value = election?.voter_auth_mode || 'fingerprint';
+    document.getElementById('electionLiveResults').value = election?.live_results || 'hidden';
+
+    const locked = election ? getLockedElectionFields(election.status) : [];
+    Object.entries(ELECTION_FIELD_INPUTS).forEach(([field, inputId]) => {
+        document.getElementById(inputId).disabled = locked.includes(field);
+    });
+
+    const lockedNote = document.getElementById('electionLockedNote');
+    lockedNote.classList.toggle('hidden', locked.length === 0);
+    lockedNote.textContent = election?.status === 'closed'
+        ? '🔒 Voting has closed, so the schedule and voter identification are locked. The title and description can still be corrected.'
+        : '🔒 Ballots have already been cast, so the opening time, time zone and voter identification are locked. The closing time can still be moved.';
+
+    if (!election) {
+        await loadElectionTemplates();
+    }
     showModal(document.getElementById('electionModal'));
 }
 
+async function loadElectionTemplates() {
+    const result = await adminAPI.getElectionTemplates();
+    electionTemplates = result.data;
+
+    document.getElementById('electionTemplate').innerHTML = '<option value="">Blank election</option>' +
+        electionTemplates.map(template => `<option value="${template.id}">${escapeHtml(template.name)}</option>`).join('');
+    applyElectionTemplate();
+}
+
+// Fill the form with the template's settings; everything stays editable
+function applyElectionTemplate() {
+    const template = electionTemplates.find(t => t.id === document.getElementById('electionTemplate').value);
+    const summary = document.getElementById('electionTemplateSummary');
+    document.getElementById('deleteTemplateBtn').classList.toggle('hidden', !template);
+
+    if (!template) {
+        summary.innerHTML = '💡 Save an election as a template with <strong>Duplicate</strong> to start future elections from it.';
+        return;
+    }
+
+    const settings = template.blueprint.election || {};
+    document.getElementById('electionDescription').value = settings.description || '';
+    document.getElementById('electionTimeZone').value = settings.time_zone || getLocalTimeZone();
+    document.getElementById('electionVoterAuthMode').value = settings.voter_auth_mode || 'fingerprint';
+    document.getElementById('electionLiveResults').value = settings.live_results || 'hidden';
+
+    const counts = describeBlueprint(template.blueprint);
+    summary.textContent = `💡 Adds ${counts.positions} position${counts.positions === 1 ? '' : 's'}` +
+        (counts.candidates ? ` and ${counts.candidates} candidate${counts.candidates === 1 ? '' : 's'}` : '') +
+        (template.created_by ? ` · saved by ${template.created_by}` : '');
+}
+
+function deleteSelectedTemplate() {
+    const template = electionTemplates.find(t => t.id === document.getElementById('electionTemplate').value);
+    if (!template) return;
+
+    // The confirm dialog opens above the election form, which stays open underneath
+    showConfirmModal(
+        'Delete Template',
+        `Delete the template "${template.name}"? Elections already created from it are not affected.`,
+        async () => {
+            const result = await adminAPI.deleteElectionTemplate(template.id);
+            closeConfirmModal();
+
+            if (result.success) {
+                await loadElectionTemplates();
+            } else {
+                showErrorModal('Error', 'Failed to delete template: ' + result.error);
+            }
+        },
+        true
+    );
+}
+
+// Reload the election list and show the given election, or the most recent one
+async function reloadElections(electionId = null) {
+    await loadAllElections();
+
+    const dropdown = document.getElementById('electionSelect');
+    if (electionId) {
+        dropdown.value = electionId;
+    }
+    await handleElectionChange({ target: dropdown });
+}
+
 function closeElectionModal() {
     hideModal(document.getElementById('electionModal'));
     document.getElementById('electionForm').reset();
+    editingElectionId = null;
 }
 
 async function handleElectionSubmit(e) {
     e.preventDefault();
     
+    const timeZone = document.getElementById('electionTimeZone').value;
     const electionData = {
         title: document.getElementById('electionTitle').value.trim(),
-        description: document.getElementById('electionDescription').value.trim()
+        description: document.getElementById('electionDescription').value.trim(),
+        starts_at: zonedTimeToUtc(document.getElementById('electionStartsAt').value, timeZone),
+        ends_at: zonedTimeToUtc(document.getElementById('electionEndsAt').value, timeZone),
+        time_zone: timeZone,
+        voter_auth_mode: document.getElementById('electionVoterAuthMode').value,
+        live_results: document.getElementById('electionLiveResults').value
     };
 
     // Validate
@@ -388,28 +861,211 @@ async function handleElectionSubmit(e) {
         return;
     }
 
-    const result = await adminAPI.createElection(electionData);
+    if (electionData.starts_at && electionData.ends_at &&
+        new Date(electionData.ends_at) <= new Date(electionData.starts_at)) {
+        showErrorModal('Validation Error', 'Voting must close after it opens');
+        return;
+    }
+
+    if (editingElectionId) {
+        await saveElectionEdits(electionData);
+        return;
+    }
+
+    const templateId = document.getElementById('electionTemplate').value;
+    const result = templateId
+        ? await adminAPI.createElectionFromTemplate(templateId, electionData)
+        : await adminAPI.createElection(electionData);
 
     if (result.success) {
         closeElectionModal();
-        await loadAllElections();
-        
-        const newElection = allElections.find(e => e.title === electionData.title);
-        if (newElection) {
-            currentElection = newElection;
-            isSessionOpen = newElection.is_open;
-            document.getElementById('electionSelect').value = newElection.id;
-            updateElectionUI();
-            await loadCandidates();
-            await loadResults();
-        }
-        
-        showSuccessModal('Election Created Successfully', 'You can now add candidates to this election.');
+        await reloadElections(result.data.id);
+
+        showSuccessModal('Election Created Successfully', templateId
+            ? 'The positions from the template have been added. Review them before opening voting.'
+            : 'You can now add candidates to this election.');
     } else {
         showErrorModal('Error', 'Failed to create election: ' + result.error);
     }
 }
 
+async function saveElectionEdits(electionData) {
+    const locked = getLockedElectionFields(currentElection.status);
+    const updates = {};
+    Object.keys(ELECTION_FIELD_INPUTS)
+        .filter(field => !locked.includes(field))
+        .forEach(field => {
+            updates[field] = electionData[field];
+        });
+
+    if (currentElection.status === 'scheduled' && !updates.starts_at) {
+        showErrorModal('Validation Error', 'A scheduled election needs a start time. Move it back to draft to open it manually.');
+        return;
+    }
+
+    if (currentElection.status === 'open' && updates.ends_at && new Date(updates.ends_at) <= new Date()) {
+        showErrorModal('Validation Error', 'The closing time must be in the future. Use End Voting to close the election now.');
+        return;
+    }
+
+    const result = await adminAPI.updateElection(editingElectionId, updates);
+
+    if (result.success) {
+        closeElectionModal();
+        currentElection = result.data;
+        allElections = allElections.map(e => e.id === currentElection.id ? currentElection : e);
+        populateElectionDropdown();
+        updateElectionUI();
+        showSuccessModal('Election Updated', 'Your changes have been saved.');
+    } else {
+        showErrorModal('Error', 'Failed to update election: ' + result.error);
+    }
+}
+
+// Duplicate Election
+function openDuplicateModal() {
+    if (!currentElection) return;
+
+    document.getElementById('duplicateForm').reset();
+    document.getElementById('duplicateSource').textContent = `Copying "${currentElection.title}".`;
+    updateDuplicateForm();
+    showModal(document.getElementById('duplicateModal'));
+}
+
+function closeDuplicateModal() {
+    hideModal(document.getElementById('duplicateModal'));
+}
+
+function updateDuplicateForm() {
+    const asTemplate = document.getElementById('duplicateTarget').value === 'template';
+
+    document.getElementById('duplicateNameLabel').textContent = asTemplate ? 'Template Name *' : 'New Election Title *';
+    document.getElementById('duplicateName').placeholder = asTemplate ? 'e.g., Standard Student Council' : '';
+    document.getElementById('duplicateName').value = asTemplate ? '' : `${currentElection.title} (Copy)`;
+    document.getElementById('duplicateSubmitBtn').textContent = asTemplate ? 'Save Template' : 'Duplicate';
+}
+
+async function handleDuplicateSubmit(e) {
+    e.preventDefault();
+
+    const asTemplate = document.getElementById('duplicateTarget').value === 'template';
+    const name = document.getElementById('duplicateName').value.trim();
+    const includeCandidates = document.getElementById('duplicateCandidates').checked;
+    const submitBtn = document.getElementById('duplicateSubmitBtn');
+
+    if (!name) {
+        showErrorModal('Validation Error', asTemplate ? 'Please enter a template name' : 'Please enter an election title');
+        return;
+    }
+
+    submitBtn.disabled = true;
+
+    const result = asTemplate
+        ? await adminAPI.saveElectionTemplate(currentElection.id, name, includeCandidates)
+        : await adminAPI.duplicateElection(currentElection.id, { title: name }, includeCandidates);
+
+    submitBtn.disabled = false;
+
+    if (!result.success) {
+        showErrorModal('Error', (asTemplate ? 'Failed to save template: ' : 'Failed to duplicate election: ') + result.error);
+        return;
+    }
+
+    closeDuplicateModal();
+
+    if (asTemplate) {
+        showSuccessModal('Template Saved', `"${name}" can now be chosen when creating a new election.`);
+    } else {
+        await reloadElections(result.data.id);
+        showSuccessModal('Election Duplicated', `"${name}" has been created as a draft. Set its schedule and voters before opening it.`);
+    }
+}
+
+// Archived Elections
+function openArchivedModal() {
+    renderArchivedElections();
+    showModal(document.getElementById('archivedModal'));
+}
+
+function closeArchivedModal() {
+    hideModal(document.getElementById('archivedModal'));
+}
+
+function renderArchivedElections() {
+    const container = document.getElementById('archivedList');
+
+    if (archivedElections.length === 0) {
+        container.innerHTML = '<div class="loading-state">No archived elections</div>';
+        return;
+    }
+
+    container.innerHTML = archivedElections.map(election => {
+        const role = myRoles[election.id];
+        const wasStatus = STATUS_LABELS[getRestoreStatus(election)];
+        const purge = election.purge_after
+            ? `<div class="archived-meta purge">🗑️ Permanently deleted on ${new Date(election.purge_after).toLocaleString()}</div>`
+            : '';
+
+        return `
+            <div class="archived-row">
+                <div class="archived-info">
+                    <div>${escapeHtml(election.title)}</div>
+                    <div class="archived-meta">Archived while ${wasStatus} · ${ROLE_LABELS[role]}</div>
+                    ${purge}
+                </div>
+                <button class="btn-secondary" onclick="window.viewArchivedElection('${election.id}')">View</button>
+                ${hasPermission(role, 'certify') ? `<button class="btn-secondary" onclick="window.restoreElection('${election.id}')">Restore</button>` : ''}
+                ${election.purge_after && hasPermission(role, 'delete') ? `<button class="btn-primary" onclick="window.cancelElectionPurge('${election.id}')">Cancel Deletion</button>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+window.viewArchivedElection = async function(id) {
+    closeArchivedModal();
+    currentElection = archivedElections.find(e => e.id === id);
+    populateElectionDropdown();
+    await handleElectionChange({ target: document.getElementById('electionSelect') });
+};
+
+window.restoreElection = function(id) {
+    const election = archivedElections.find(e => e.id === id);
+    if (!election) return;
+
+    const cancelsPurge = election.purge_after ? ' Its scheduled deletion is cancelled.' : '';
+    showConfirmModal(
+        'Restore Election',
+        `"${election.title}" returns to the election list as ${STATUS_LABELS[getRestoreStatus(election)]}.${cancelsPurge}`,
+        async () => {
+            const result = await adminAPI.restoreElection(id);
+            closeConfirmModal();
+
+            if (result.success) {
+                closeArchivedModal();
+                await reloadElections(id);
+                showSuccessModal('Election Restored', `"${election.title}" is back in the election list.`);
+            } else {
+                showErrorModal('Error', 'Failed to restore election: ' + result.error);
+            }
+        }
+    );
+};
+
+window.cancelElectionPurge = async function(id) {
+    const result = await adminAPI.cancelElectionPurge(id);
+
+    if (result.success) {
+        archivedElections = archivedElections.map(e => e.id === id ? result.data : e);
+        if (currentElection?.id === id) {
+            currentElection = result.data;
+            updateElectionUI();
+        }
+        renderArchivedElections();
+    } else {
+        showErrorModal('Error', 'Failed to cancel the deletion: ' + result.error);
+    }
+};
+
 // Candidate Management
 async function loadCandidates() {
     if (!currentElection) {
@@ -419,9 +1075,12 @@ async function loadCandidates() {
     }
 
     const result = await adminAPI.getCandidatesByPosition(currentElection.id);
+    const positionsResult = await adminAPI.getPositions(currentElection.id);
+    positionSettings = positionsResult.data;
     
     if (result.success) {
         candidates = Object.values(result.data).flat();
+        positionTitles = Object.keys(result.data);
         renderCandidatesByPosition(result.data);
     } else {
         document.getElementById('candidatesList').innerHTML = 
@@ -437,24 +1096,37 @@ function renderCandidatesByPosition(groupedCandidates) {
         return;
     }
 
-    container.innerHTML = Object.entries(groupedCandidates).map(([position, candidateList]) => `
+    container.innerHTML = Object.entries(groupedCandidates).map(([position, candidateList], index) => `
         <div class="position-group" style="margin-bottom: 1.5rem;">
-            <h3 style="color: white; font-size: 1.1rem; font-weight: 600; margin-bottom: 0.75rem; padding-left: 0.5rem; border-left: 3px solid #DA291C;">
-                ${escapeHtml(position)}
-            </h3>
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.75rem;">
+                <h3 style="color: white; font-size: 1.1rem; font-weight: 600; padding-left: 0.5rem; border-left: 3px solid #DA291C;">
+                    ${escapeHtml(position)}
+                    <span class="position-method">${getVotingMethodLabel(position)}</span>
+                    ${getEligibilityLabel(position) ? `<span class="position-method">${getEligibilityLabel(position)}</span>` : ''}
+                </h3>
+                <button class="btn-edit" title="Position settings" onclick="window.editPosition(${index})" ${candidatesEditable() ? '' : 'disabled'}>
+                    <svg class="btn-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z"/>
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z"/>
+                    </svg>
+                </button>
+            </div>
             ${candidateList.map(candidate => `
                 <div class="candidate-card">
+                    ${candidate.thumbnail_url || candidate.image_url
+                        ? `<img class="candidate-thumb" src="${escapeHtml(candidate.thumbnail_url || candidate.image_url)}" alt="">`
+                        : `<div class="candidate-thumb initials">${escapeHtml(getInitials(candidate.name))}</div>`}
                     <div class="candidate-info">
                         <h4>${escapeHtml(candidate.name)}</h4>
                         <p>${escapeHtml(candidate.description || 'No description')}</p>
                     </div>
                     <div class="candidate-actions">
-                        <button class="btn-edit" onclick="window.editCandidate('${candidate.id}')" ${isSessionOpen ? 'disabled' : ''}>
+                        <button class="btn-edit" onclick="window.editCandidate('${candidate.id}')" ${candidatesEditable() ? '' : 'disabled'}>
                             <svg class="btn-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"/>
                             </svg>
                         </button>
-                        <button class="btn-delete" onclick="window.deleteCandidate('${candidate.id}')" ${isSessionOpen ? 'disabled' : ''}>
+                        <button class="btn-delete" onclick="window.deleteCandidate('${candidate.id}')" ${candidatesEditable() ? '' : 'disabled'}>
                             <svg class="btn-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"/>
                             </svg>
@@ -494,64 +1166,327 @@ window.deleteCandidate = function(id) {
     );
 };
 
-function openCandidateModal(candidate = null) {
-    editingCandidateId = candidate?.id || null;
-    
-    document.getElementById('candidateModalTitle').textContent = 
-        candidate ? 'Edit Candidate' : 'Add Candidate';
-    
-    document.getElementById('candidateName').value = candidate?.name || '';
-    document.getElementById('candidatePosition').value = candidate?.position || '';
-    document.getElementById('candidateDescription').value = candidate?.description || '';
-    
-    document.getElementById('candidateModal').classList.remove('hidden');
+// Candidate Slates
+function openSlateModal() {
+    if (!currentElection) return;
+
+    pendingSlateEntries = [];
+    document.getElementById('slateForm').reset();
+    document.getElementById('slatePreview').innerHTML = '';
+    document.getElementById('slateSubmitBtn').disabled = true;
+
+    // Exporting is open to every role; importing follows the same rules as adding a candidate
+    document.getElementById('slateForm').classList.toggle('hidden', !candidatesEditable());
+
+    showModal(document.getElementById('slateModal'));
 }
 
-function closeCandidateModal() {
-    hideModal(document.getElementById('candidateModal'));
-    document.getElementById('candidateForm').reset();
-    editingCandidateId = null;
+function closeSlateModal() {
+    hideModal(document.getElementById('slateModal'));
+    pendingSlateEntries = [];
 }
 
-async function handleCandidateSubmit(e) {
-    e.preventDefault();
-    
-    if (!currentElection) {
-        showErrorModal('Error', 'No election selected');
-        return;
-    }
-    
-    const candidateData = {
-        name: document.getElementById('candidateName').value.trim(),
-        position: document.getElementById('candidatePosition').value.trim(),
-        description: document.getElementById('candidateDescription').value.trim()
-    };
+async function handleSlateFileChange(e) {
+    const file = e.target.files[0];
+    const preview = document.getElementById('slatePreview');
 
-    // Validate
-    if (!candidateData.name || !candidateData.position) {
-        showErrorModal('Validation Error', 'Please fill in all required fields');
+    if (!file) {
+        pendingSlateEntries = [];
+        preview.innerHTML = '';
+        document.getElementById('slateSubmitBtn').disabled = true;
         return;
     }
 
-    let result;
-    try {
-        if (editingCandidateId) {
-            result = await adminAPI.updateCandidate(editingCandidateId, candidateData);
-        } else {
-            result = await adminAPI.createCandidate(currentElection.id, candidateData);
-        }
+    const { entries, errors } = parseSlate(await file.text(), candidates);
+    pendingSlateEntries = entries;
+
+    const positionCount = new Set(entries.map(entry => entry.position)).size;
+
+    preview.innerHTML = `
+        <div class="roll-summary">
+            ${entries.length} candidate${entries.length === 1 ? '' : 's'} for ${positionCount} position${positionCount === 1 ? '' : 's'} ready to import
+            ${errors.length ? ` · ${errors.length} row${errors.length === 1 ? '' : 's'} skipped` : ''}
+        </div>
+        ${errors.length ? `
+            <div class="roll-errors">
+                Fix these rows and choose the file again to include them:
+                <ul>${errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>
+            </div>
+        ` : ''}
+        ${entries.length ? `
+            <div class="slate-preview-scroll">
+                <table class="slate-preview">
+                    <tr><th>Position</th><th>Name</th><th>Description</th><th>Image</th></tr>
+                    ${entries.map(entry => `
+                        <tr>
+                            <td>${escapeHtml(entry.position)}</td>
+                            <td>${escapeHtml(entry.name)}</td>
+                            <td>${escapeHtml(entry.description || '')}</td>
+                            <td>${entry.image_url ? '✓' : ''}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            </div>
+        ` : ''}
+    `;
+
+    document.getElementById('slateSubmitBtn').disabled = entries.length === 0;
+}
+
+async function handleSlateSubmit(e) {
+    e.preventDefault();
+
+    if (pendingSlateEntries.length === 0) return;
+
+    const submitBtn = document.getElementById('slateSubmitBtn');
+    submitBtn.disabled = true;
+
+    const result = await adminAPI.importCandidates(currentElection.id, pendingSlateEntries);
+
+    if (result.success) {
+        closeSlateModal();
+        await loadCandidates();
+        await loadResults();
+        showSuccessModal(
+            'Candidates Imported',
+            `${result.data.imported} candidate${result.data.imported === 1 ? ' has' : 's have'} been added to the election.`
+        );
+    } else {
+        submitBtn.disabled = false;
+        showErrorModal('Import Failed', 'No candidates were added: ' + result.error);
+    }
+}
+
+async function exportSlate() {
+    const format = document.getElementById('slateExportFormat').value;
+    const result = await adminAPI.exportCandidateSlate(currentElection.id, currentElection.title, format);
+
+    if (!result.success) {
+        showErrorModal('Export Failed', 'Failed to export candidates: ' + result.error);
+    }
+}
+
+// Position Settings
+function getVotingMethodLabel(position) {
+    const settings = positionSettings[position];
+    if (settings?.voting_method === 'ranked') return 'Ranked choice';
+
+    const seats = settings?.seats || 1;
+    const maxSelections = settings?.max_selections || 1;
+    if (seats > 1) return `${seats} seats · pick up to ${maxSelections}`;
+    return maxSelections > 1 ? `Pick up to ${maxSelections}` : 'Plurality';
+}
+
+function getEligibilityLabel(position) {
+    const groups = positionSettings[position]?.eligible_groups || [];
+    return groups.length > 0 ? `${groups.map(escapeHtml).join(', ')} only` : '';
+}
+
+window.editPosition = function(index) {
+    const position = positionTitles[index];
+    if (position) {
+        openPositionModal(position);
+    }
+};
+
+async function openPositionModal(position) {
+    document.getElementById('positionTitle').value = position;
+    document.getElementById('positionEligibleGroups').value =
+        (positionSettings[position]?.eligible_groups || []).join(', ');
+    document.getElementById('positionVotingMethod').value = 
+        positionSettings[position]?.voting_method || 'plurality';
+    document.getElementById('positionMinSelections').value = positionSettings[position]?.min_selections ?? 0;
+    document.getElementById('positionMaxSelections').value = positionSettings[position]?.max_selections ?? 1;
+    document.getElementById('positionSeats').value = positionSettings[position]?.seats ?? 1;
+    document.getElementById('positionWinRule').value = positionSettings[position]?.win_rule || 'plurality';
+    document.getElementById('positionWinThreshold').value = positionSettings[position]?.win_threshold ?? 50;
+    updatePositionFormFields();
+    showModal(document.getElementById('positionModal'));
+
+    // Suggest the groups that exist on the roll and token batches
+    const { data: groups } = await adminAPI.getVoterGroups(currentElection.id);
+    document.getElementById('voterGroupOptions').innerHTML = groups.map(group =>
+        `<option value="${escapeHtml(group)}">`
+    ).join('');
+    document.getElementById('knownVoterGroups').textContent = groups.length > 0
+        ? `Known groups: ${groups.join(', ')}`
+        : 'No voter groups yet - import a voter roll or generate tokens with a group first.';
+}
+
+// Ranked-choice positions elect a single winner from a full ranking; win rules apply to single-seat plurality only
+function updatePositionFormFields() {
+    const isRanked = document.getElementById('positionVotingMethod').value === 'ranked';
+    const maxInput = document.getElementById('positionMaxSelections');
+    const seatsInput = document.getElementById('positionSeats');
+    const winRuleInput = document.getElementById('positionWinRule');
+
+    maxInput.disabled = isRanked;
+    seatsInput.disabled = isRanked;
+    if (isRanked) {
+        seatsInput.value = 1;
+    }
+
+    const rulesApply = !isRanked && parseInt(seatsInput.value, 10) === 1;
+    winRuleInput.disabled = !rulesApply;
+    if (!rulesApply) {
+        winRuleInput.value = 'plurality';
+    }
+    document.getElementById('positionWinThreshold').disabled = winRuleInput.value !== 'threshold';
+}
+
+function closePositionModal() {
+    hideModal(document.getElementById('positionModal'));
+    document.getElementById('positionForm').reset();
+}
+
+async function handlePositionSubmit(e) {
+    e.preventDefault();
+
+    if (!currentElection) {
+        showErrorModal('Error', 'No election selected');
+        return;
+    }
+
+    const positionData = {
+        title: document.getElementById('positionTitle').value,
+        voting_method: document.getElementById('positionVotingMethod').value,
+        min_selections: parseInt(document.getElementById('positionMinSelections').value, 10),
+        max_selections: parseInt(document.getElementById('positionMaxSelections').value, 10),
+        seats: parseInt(document.getElementById('positionSeats').value, 10),
+        eligible_groups: document.getElementById('positionEligibleGroups').value
+            .split(',')
+            .map(group => group.trim())
+            .filter(Boolean),
+        win_rule: document.getElementById('positionWinRule').value,
+        win_threshold: parseFloat(document.getElementById('positionWinThreshold').value)
+    };
+
+    // Validate
+    if ([positionData.min_selections, positionData.max_selections, positionData.seats].some(Number.isNaN)) {
+        showErrorModal('Validation Error', 'Please enter whole numbers for selections and seats');
+        return;
+    }
+    if (positionData.min_selections < 0 || positionData.max_selections < 1 || positionData.seats < 1) {
+        showErrorModal('Validation Error', 'Max selections and seats must be at least 1, and min selections cannot be negative');
+        return;
+    }
+    if (positionData.voting_method !== 'ranked' && positionData.min_selections > positionData.max_selections) {
+        showErrorModal('Validation Error', 'Min selections cannot be greater than max selections');
+        return;
+    }
+    if (positionData.win_rule === 'threshold' &&
+        !(positionData.win_threshold > 0 && positionData.win_threshold <= 100)) {
+        showErrorModal('Validation Error', 'The share needed to win must be between 0 and 100%');
+        return;
+    }
+
+    const result = await adminAPI.savePosition(currentElection.id, positionData);
+
+    if (result.success) {
+        closePositionModal();
+        await loadCandidates();
+        await loadResults();
+        showSuccessModal('Position Updated', `Settings for ${positionData.title} have been saved.`);
+    } else {
+        showErrorModal('Error', 'Failed to save position settings: ' + result.error);
+    }
+}
+
+function openCandidateModal(candidate = null) {
+    editingCandidateId = candidate?.id || null;
+    
+    document.getElementById('candidateModalTitle').textContent = 
+        candidate ? 'Edit Candidate' : 'Add Candidate';
+    
+    document.getElementById('candidateName').value = candidate?.name || '';
+    document.getElementById('candidatePosition').value = candidate?.position || '';
+    document.getElementById('candidateDescription').value = candidate?.description || '';
+    resetCandidatePhoto(candidate);
+
+    document.getElementById('candidateModal').classList.remove('hidden');
+}
+
+function closeCandidateModal() {
+    hideModal(document.getElementById('candidateModal'));
+    document.getElementById('candidateForm').reset();
+    editingCandidateId = null;
+}
+
+async function handleCandidateSubmit(e) {
+    e.preventDefault();
+    
+    if (!currentElection) {
+        showErrorModal('Error', 'No election selected');
+        return;
+    }
+    
+    const candidateData = {
+        name: document.getElementById('candidateName').value.trim(),
+        position: document.getElementById('candidatePosition').value.trim(),
+        description: document.getElementById('candidateDescription').value.trim()
+    };
+
+    // Validate
+    if (!candidateData.name || !candidateData.position) {
+        showErrorModal('Validation Error', 'Please fill in all required fields');
+        return;
+    }
+
+    const previous = editingCandidateId ? candidates.find(c => c.id === editingCandidateId) : null;
+
+    let result;
+    try {
+        if (candidatePhoto.image) {
+            const crop = getCropRect(
+                candidatePhoto.image.width,
+                candidatePhoto.image.height,
+                candidatePhoto.zoom,
+                candidatePhoto.panX,
+                candidatePhoto.panY
+            );
+            const upload = await adminAPI.uploadCandidatePhoto(
+                currentElection.id,
+                await renderPhoto(candidatePhoto.image, crop, PHOTO_SIZE),
+                await renderPhoto(candidatePhoto.image, crop, THUMBNAIL_SIZE)
+            );
+
+            if (!upload.success) {
+                showErrorModal('Error', 'Failed to upload photo: ' + upload.error);
+                return;
+            }
+
+            Object.assign(candidateData, upload.data);
+        } else if (candidatePhoto.removed) {
+            candidateData.image_url = null;
+            candidateData.thumbnail_url = null;
+        }
+
+        if (editingCandidateId) {
+            result = await adminAPI.updateCandidate(editingCandidateId, candidateData);
+        } else {
+            result = await adminAPI.createCandidate(currentElection.id, candidateData);
+        }
 
         if (result.success) {
+            // The old photo is no longer used once it has been replaced or removed
+            if (previous && (candidatePhoto.image || candidatePhoto.removed)) {
+                await adminAPI.deleteCandidatePhotos(previous);
+            }
+
+            const action = editingCandidateId ? 'updated' : 'created';
             closeCandidateModal();
             await loadCandidates();
             await loadResults();
-            
-            const action = editingCandidateId ? 'updated' : 'created';
+
             showSuccessModal(
                 'Success',
                 `Candidate ${candidateData.name} has been successfully ${action}!`
             );
         } else {
+            // Don't leave the just-uploaded photo behind
+            if (candidatePhoto.image) {
+                await adminAPI.deleteCandidatePhotos({ ...candidateData, election_id: currentElection.id });
+            }
             showErrorModal('Error', 'Failed to save candidate: ' + result.error);
         }
     } catch (error) {
@@ -560,23 +1495,134 @@ async function handleCandidateSubmit(e) {
     }
 }
 
+// Candidate Photos
+function resetCandidatePhoto(candidate = null) {
+    candidatePhoto = { image: null, zoom: 1, panX: 0, panY: 0, removed: false };
+
+    const current = candidate?.thumbnail_url || candidate?.image_url;
+    document.getElementById('candidatePhotoFile').value = '';
+    document.getElementById('candidatePhotoZoom').value = 1;
+    document.getElementById('candidatePhotoCurrent').src = current || '';
+    showCandidatePhotoState(current ? 'current' : 'empty');
+}
+
+// Which of the preview elements is visible: empty, current (saved photo) or crop (new upload)
+function showCandidatePhotoState(state) {
+    document.getElementById('candidatePhotoEmpty').classList.toggle('hidden', state !== 'empty');
+    document.getElementById('candidatePhotoCurrent').classList.toggle('hidden', state !== 'current');
+    document.getElementById('candidatePhotoCanvas').classList.toggle('hidden', state !== 'crop');
+    document.getElementById('candidatePhotoZoomGroup').classList.toggle('hidden', state !== 'crop');
+    document.getElementById('candidatePhotoRemoveBtn').classList.toggle('hidden', state === 'empty');
+}
+
+async function handleCandidatePhotoChange(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const error = validatePhotoFile(file);
+    if (error) {
+        e.target.value = '';
+        showErrorModal('Photo Not Supported', error);
+        return;
+    }
+
+    try {
+        candidatePhoto = { image: await loadPhoto(file), zoom: 1, panX: 0, panY: 0, removed: false };
+    } catch (loadError) {
+        console.error('Error reading photo:', loadError);
+        e.target.value = '';
+        showErrorModal('Photo Not Supported', 'The image could not be read');
+        return;
+    }
+
+    document.getElementById('candidatePhotoZoom').value = 1;
+    showCandidatePhotoState('crop');
+    drawCandidatePhoto();
+}
+
+function drawCandidatePhoto() {
+    const { image, zoom, panX, panY } = candidatePhoto;
+    if (!image) return;
+
+    drawCrop(
+        document.getElementById('candidatePhotoCanvas'),
+        image,
+        getCropRect(image.width, image.height, zoom, panX, panY)
+    );
+}
+
+function removeCandidatePhoto() {
+    candidatePhoto = { image: null, zoom: 1, panX: 0, panY: 0, removed: true };
+    document.getElementById('candidatePhotoFile').value = '';
+    showCandidatePhotoState('empty');
+}
+
+// Dragging the preview moves the crop square across the image
+function setupPhotoDragging(canvas) {
+    let start = null;
+
+    canvas.addEventListener('pointerdown', (e) => {
+        start = { x: e.clientX, y: e.clientY, panX: candidatePhoto.panX, panY: candidatePhoto.panY };
+        canvas.setPointerCapture(e.pointerId);
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+        const { image, zoom } = candidatePhoto;
+        if (!start || !image) return;
+
+        // Convert the drag from screen pixels into the -1..1 pan range of each axis
+        const crop = getCropRect(image.width, image.height, zoom);
+        const scale = crop.size / canvas.clientWidth;
+        const spareX = image.width - crop.size;
+        const spareY = image.height - crop.size;
+        const clamp = (value) => Math.min(1, Math.max(-1, value));
+
+        candidatePhoto.panX = spareX > 0 ? clamp(start.panX - 2 * (e.clientX - start.x) * scale / spareX) : 0;
+        candidatePhoto.panY = spareY > 0 ? clamp(start.panY - 2 * (e.clientY - start.y) * scale / spareY) : 0;
+        drawCandidatePhoto();
+    });
+
+    ['pointerup', 'pointercancel'].forEach(type => {
+        canvas.addEventListener(type, () => {
+            start = null;
+        });
+    });
+}
+
+function getInitials(name) {
+    return name
+        .split(' ')
+        .filter(Boolean)
+        .map(word => word[0])
+        .join('')
+        .toUpperCase()
+        .slice(0, 2);
+}
+
 // Results Management
 async function loadResults() {
     if (!currentElection) {
         document.getElementById('resultsContainer').innerHTML = 
             '<div class="loading-state">No election selected</div>';
+        document.getElementById('runoffLinks').classList.add('hidden');
+        document.getElementById('certificationBanner').classList.add('hidden');
+        currentTies = [];
         return;
     }
 
     const statsResult = await adminAPI.getVoteStatistics(currentElection.id);
     const resultsResult = await adminAPI.getResultsByPosition(currentElection.id);
+    const turnoutResult = await adminAPI.getPositionTurnout(currentElection.id);
 
     if (statsResult.success) {
         renderVoteStats(statsResult.data);
     }
 
     if (resultsResult.success) {
-        renderResults(resultsResult.data);
+        renderResults(resultsResult.data, resultsResult.ranked, turnoutResult.data, resultsResult.ties, resultsResult.runoffs);
+        renderRunoffLinks(resultsResult.data, resultsResult.runoffs);
+        renderCertification(resultsResult.certification);
+        updateCertifyButton();
     }
 
     updateLastUpdatedTime();
@@ -592,33 +1638,389 @@ function renderVoteStats(stats) {
             <div class="stat-value">${stats.uniqueVoters || 0}</div>
             <div class="stat-label">Unique Voters</div>
         </div>
+        ${stats.rollSize > 0 ? `
+        <div class="stat-card">
+            <div class="stat-value">${((stats.uniqueVoters || 0) / stats.rollSize * 100).toFixed(1)}%</div>
+            <div class="stat-label">Turnout of ${stats.rollSize} on Roll</div>
+        </div>
+        ` : ''}
     `;
 }
 
-function renderResults(groupedResults) {
+// Eligible-voter turnout line for a position - only known for roll and token elections
+function renderPositionTurnout(turnout) {
+    if (!turnout || turnout.eligible === 0) return '';
+
+    const percentage = Math.round((turnout.voted / turnout.eligible) * 1000) / 10;
+    return `<div class="position-turnout">Turnout: ${turnout.voted} of ${turnout.eligible} eligible voters (${percentage}%)</div>`;
+}
+
+function renderResults(groupedResults, ranked = {}, turnout = {}, ties = {}, runoffs = {}) {
     const container = document.getElementById('resultsContainer');
+    currentTies = [];
     
     if (Object.keys(groupedResults).length === 0) {
         container.innerHTML = '<div class="loading-state">No votes cast yet</div>';
         return;
     }
 
-    container.innerHTML = Object.entries(groupedResults).map(([position, results]) => `
+    container.innerHTML = Object.entries(groupedResults).map(([position, results]) => ranked[position]
+        ? renderRankedResult(position, results, ranked[position], turnout[position], ties[position], runoffs[position])
+        : `
         <div class="position-group">
             <h3>${escapeHtml(position)}</h3>
-            ${results.map(result => `
+            ${renderPositionTurnout(turnout[position])}
+            ${renderWinRule(position)}
+            ${results.map((result, index) => `
                 <div class="result-item">
                     <div class="result-header">
-                        <span class="result-name">${escapeHtml(result.candidate_name)}</span>
-                        <span class="result-count">${result.total_votes || 0} votes (${result.vote_percentage || 0}%)</span>
+                        <span class="result-name">
+                            ${escapeHtml(result.candidate_name)}
+                            ${result.elected ? '<span class="elected-badge">Elected</span>' : ''}
+                        </span>
+                        <span class="result-count">${result.total_votes} votes (${result.vote_percentage}%)</span>
                     </div>
                     <div class="progress-bar">
-                        <div class="progress-fill" style="width: ${result.vote_percentage || 0}%"></div>
+                        <div class="progress-fill" style="width: ${result.vote_percentage}%"></div>
                     </div>
                 </div>
             `).join('')}
+            ${renderTie(position, results, ties[position])}
+            ${renderRunoffNotice(position, results, runoffs[position])}
+        </div>
+    `).join('');
+}
+
+// The share a single-seat plurality position needs to be won outright, if it has a rule
+function renderWinRule(position) {
+    const settings = positionSettings[position] || {};
+    const rule = (settings.seats || 1) === 1 ? describeWinRule(settings) : null;
+    return rule ? `<div class="position-turnout">To win: ${escapeHtml(rule.toLowerCase())}</div>` : '';
+}
+
+// Why a position goes to a runoff, and between whom
+function renderRunoffNotice(position, results, runoff) {
+    if (!runoff) return '';
+
+    const names = Object.fromEntries(results.map(result => [result.candidate_id, result.candidate_name]));
+    const between = runoff.candidates.map(id => escapeHtml(names[id])).join(', ');
+    const reason = runoff.reason === 'win_rule'
+        ? `Nobody reached ${escapeHtml(describeWinRule(positionSettings[position] || {})?.toLowerCase() || 'the share needed to win')}`
+        : 'The tie is to be broken by a runoff';
+
+    return `<div class="runoff-notice">🔁 ${reason} - runoff between ${between}</div>`;
+}
+
+// Certified results are a frozen snapshot; say so, with the ballot fingerprint taken at the time
+function renderCertification(certification) {
+    const banner = document.getElementById('certificationBanner');
+    banner.classList.toggle('hidden', !certification);
+    if (!certification) return;
+
+    banner.innerHTML = `
+        <div>
+            ✅ Certified on ${escapeHtml(formatInTimeZone(certification.certified_at, currentElection.time_zone))}
+            by ${escapeHtml(certification.certified_by || 'unknown')} - these results are final.
+            <div class="tie-meta" title="${escapeHtml(certification.ballot_hash)}">
+                ${certification.ballot_count} ballots · SHA-256 ${escapeHtml(certification.ballot_hash.slice(0, 16))}…
+            </div>
+        </div>
+        <button class="btn-secondary" onclick="window.verifyCertification()">Verify Ballots</button>
+    `;
+}
+
+window.verifyCertification = async function() {
+    const result = await adminAPI.verifyCertification(currentElection.id);
+
+    if (!result.success) {
+        showErrorModal('Error', 'Failed to verify the certified ballots: ' + result.error);
+    } else if (result.data.valid) {
+        showSuccessModal('Ballots Verified', `All ${result.data.ballotCount} ballots match the set that was certified.`);
+    } else {
+        showErrorModal(
+            'Ballots Changed',
+            `⚠️ The ballots no longer match the certified set (${result.data.ballotCount} ballots now, hash ${result.data.hash.slice(0, 16)}…).`
+        );
+    }
+};
+
+// Links between an election and its runoff, and the offer to create one once voting has closed
+function renderRunoffLinks(groupedResults, runoffs = {}) {
+    const container = document.getElementById('runoffLinks');
+    const elections = [...allElections, ...archivedElections];
+    const original = elections.find(election => election.id === currentElection.runoff_of);
+    const runoffElection = elections.find(election => election.runoff_of === currentElection.id);
+    const pending = Object.keys(runoffs);
+
+    currentRunoffs = {
+        positions: runoffs,
+        names: Object.fromEntries(Object.values(groupedResults).flat().map(result => [result.candidate_id, result.candidate_name]))
+    };
+
+    const links = [];
+    if (currentElection.runoff_of) {
+        links.push(`
+            <div class="runoff-link">
+                🔁 This is a runoff of ${original ? `"${escapeHtml(original.title)}"` : 'another election'}
+                ${original ? `<button class="btn-secondary" onclick="window.viewLinkedElection('${original.id}')">View Original Results</button>` : ''}
+            </div>
+        `);
+    }
+    if (runoffElection) {
+        links.push(`
+            <div class="runoff-link">
+                🔁 Runoff: "${escapeHtml(runoffElection.title)}" (${STATUS_LABELS[runoffElection.status]})
+                <button class="btn-secondary" onclick="window.viewLinkedElection('${runoffElection.id}')">View Runoff</button>
+            </div>
+        `);
+    } else if (pending.length > 0 && ['closed', 'certified'].includes(currentElection.status) &&
+        hasPermission(getCurrentRole(), 'manage')) {
+        links.push(`
+            <div class="runoff-link">
+                🔁 ${pending.length} position${pending.length === 1 ? ' needs' : 's need'} a runoff
+                <button class="btn-primary" onclick="window.openRunoffModal()">Create Runoff Election</button>
+            </div>
+        `);
+    }
+
+    container.innerHTML = links.join('');
+    container.classList.toggle('hidden', links.length === 0);
+}
+
+window.viewLinkedElection = async function(id) {
+    const archived = archivedElections.find(election => election.id === id);
+    if (archived) {
+        currentElection = archived;
+        populateElectionDropdown();
+    }
+
+    const dropdown = document.getElementById('electionSelect');
+    dropdown.value = id;
+    await handleElectionChange({ target: dropdown });
+};
+
+// Runoff Elections
+window.openRunoffModal = function() {
+    const { positions, names } = currentRunoffs;
+
+    document.getElementById('runoffForm').reset();
+    document.getElementById('runoffTitle').value = `${currentElection.title} - Runoff`;
+    document.getElementById('runoffSummary').innerHTML = `
+        <ul>
+            ${Object.entries(positions).map(([position, runoff]) => `
+                <li><strong>${escapeHtml(position)}</strong>: ${runoff.candidates.map(id => escapeHtml(names[id])).join(', ')}</li>
+            `).join('')}
+        </ul>
+    `;
+    document.getElementById('runoffVoters').textContent = {
+        roll: 'The voter roll is copied, so the same voters can vote.',
+        token: 'Voter tokens cannot be copied - generate and hand out a new batch for the runoff.',
+        fingerprint: 'Anyone with the link can vote, as in the original election.'
+    }[currentElection.voter_auth_mode || 'fingerprint'];
+
+    showModal(document.getElementById('runoffModal'));
+};
+
+function closeRunoffModal() {
+    hideModal(document.getElementById('runoffModal'));
+}
+
+async function handleRunoffSubmit(e) {
+    e.preventDefault();
+
+    const title = document.getElementById('runoffTitle').value.trim();
+    const submitBtn = document.getElementById('runoffSubmitBtn');
+    const runoffs = Object.fromEntries(
+        Object.entries(currentRunoffs.positions).map(([position, runoff]) => [position, runoff.candidates])
+    );
+
+    if (!title) {
+        showErrorModal('Validation Error', 'Please enter an election title');
+        return;
+    }
+
+    submitBtn.disabled = true;
+    const result = await adminAPI.createRunoffElection(currentElection.id, runoffs, { title });
+    submitBtn.disabled = false;
+
+    if (!result.success) {
+        showErrorModal('Error', 'Failed to create runoff election: ' + result.error);
+        return;
+    }
+
+    const needsTokens = currentElection.voter_auth_mode === 'token';
+    closeRunoffModal();
+    await reloadElections(result.data.id);
+    showSuccessModal(
+        'Runoff Created',
+        `"${title}" has been created as a draft. Set its schedule${needsTokens ? ' and generate voter tokens' : ''} before opening it.`
+    );
+}
+
+// Tie notice for a position, with the recorded resolution or - for owners once voting has closed - a way to settle it
+function renderTie(position, results, tie) {
+    if (!tie) return '';
+
+    const names = Object.fromEntries(results.map(result => [result.candidate_id, result.candidate_name]));
+    const tied = tie.candidates.map(id => escapeHtml(names[id])).join(', ');
+    const seats = `${tie.seats} seat${tie.seats === 1 ? '' : 's'}`;
+    const subject = tie.elimination ? `Tie for last place between ${tied}` : `Tie between ${tied} for ${seats}`;
+
+    if (tie.resolution) {
+        return `
+            <div class="tie-notice resolved">
+                ⚖️ ${subject} - ${escapeHtml(describeTieResolution(tie.resolution, names))}
+                <div class="tie-meta">${escapeHtml(TIE_BREAK_METHODS[tie.resolution.method])} · ${escapeHtml(tie.resolution.resolved_by || 'unknown')} · ${new Date(tie.resolution.resolved_at).toLocaleString()}</div>
+            </div>
+        `;
+    }
+
+    const canResolve = currentElection.status === 'closed' && hasPermission(getCurrentRole(), 'certify');
+    currentTies.push({ position, tie, names });
+
+    return `
+        <div class="tie-notice">
+            ⚖️ ${subject}
+            ${canResolve
+                ? `<button class="btn-secondary" onclick="window.openTieModal(${currentTies.length - 1})">Resolve Tie</button>`
+                : `<div class="tie-meta">${currentElection.status === 'open' || currentElection.status === 'scheduled'
+                    ? 'Can be resolved by an owner once voting has closed'
+                    : 'Unresolved'}</div>`}
+        </div>
+    `;
+}
+
+const IRV_TIE_BREAKS = {
+    earlier_rounds: 'tie for last place broken by earlier rounds',
+    lot: 'tie broken by lot'
+};
+
+// Round-by-round instant-runoff breakdown for a ranked-choice position
+function renderRankedResult(position, results, count, turnout, tie, runoff) {
+    const names = results.reduce((acc, result) => {
+        acc[result.candidate_id] = result.candidate_name;
+        return acc;
+    }, {});
+
+    let outcome = 'No ballots counted yet';
+    if (count.winner) {
+        outcome = `🏆 Winner: ${escapeHtml(names[count.winner])}`;
+    } else if (count.tied.length > 0 && count.elimination) {
+        outcome = `Count stopped in round ${count.rounds.length}: ` +
+            `${count.tied.map(id => escapeHtml(names[id])).join(', ')} are tied for last place`;
+    } else if (count.tied.length > 0) {
+        outcome = `Tie between ${count.tied.map(id => escapeHtml(names[id])).join(', ')}`;
+    }
+
+    return `
+        <div class="position-group">
+            <h3>${escapeHtml(position)} <span class="position-method">Ranked choice</span></h3>
+            ${renderPositionTurnout(turnout)}
+            ${count.rounds.map(round => {
+                const active = Object.values(round.tallies).reduce((sum, votes) => sum + votes, 0);
+                return `
+                    <div class="irv-round">
+                        <div class="irv-round-title">Round ${round.number}</div>
+                        ${Object.entries(round.tallies)
+                            .sort((a, b) => b[1] - a[1])
+                            .map(([candidateId, votes]) => {
+                                const percentage = active > 0 ? Math.round((votes / active) * 10000) / 100 : 0;
+                                return `
+                                    <div class="result-item">
+                                        <div class="result-header">
+                                            <span class="result-name">${escapeHtml(names[candidateId])}</span>
+                                            <span class="result-count">${votes} votes (${percentage}%)</span>
+                                        </div>
+                                        <div class="progress-bar">
+                                            <div class="progress-fill" style="width: ${percentage}%"></div>
+                                        </div>
+                                    </div>
+                                `;
+                            }).join('')}
+                        <div class="irv-round-note">
+                            ${round.eliminated.length > 0
+                                ? `Eliminated: ${round.eliminated.map(id => escapeHtml(names[id])).join(', ')}`
+                                : ''}
+                            ${round.tieBreak ? ` (${IRV_TIE_BREAKS[round.tieBreak]})` : ''}
+                            ${round.exhausted > 0 ? ` · ${round.exhausted} exhausted ballot(s)` : ''}
+                        </div>
+                    </div>
+                `;
+            }).join('')}
+            <div class="irv-outcome">${outcome}</div>
+            ${renderTie(position, results, tie)}
+            ${renderRunoffNotice(position, results, runoff)}
         </div>
+    `;
+}
+
+// Tie Breaks
+window.openTieModal = function(index) {
+    resolvingTie = currentTies[index];
+    if (!resolvingTie) return;
+
+    const { position, tie, names } = resolvingTie;
+
+    document.getElementById('tieForm').reset();
+    document.getElementById('tieSummary').textContent = tie.elimination
+        ? `${position}: ${tie.candidates.map(id => names[id]).join(', ')} are tied for last place. Lots decide who is eliminated, and the count goes on.`
+        : `${position}: ${tie.candidates.map(id => names[id]).join(', ')} are tied for ${tie.seats} seat${tie.seats === 1 ? '' : 's'}.`;
+    // Only a draw can settle who leaves the count
+    document.querySelectorAll('#tieMethod option').forEach(option => {
+        option.disabled = tie.elimination && option.value !== 'lots';
+    });
+    document.getElementById('tieWinners').innerHTML = tie.candidates.map(id => `
+        <label class="form-label" style="display: flex; align-items: center; gap: 0.5rem;">
+            <input type="checkbox" name="tieWinner" value="${id}">
+            ${escapeHtml(names[id])}
+        </label>
     `).join('');
+
+    updateTieForm();
+    showModal(document.getElementById('tieModal'));
+};
+
+function closeTieModal() {
+    hideModal(document.getElementById('tieModal'));
+    resolvingTie = null;
+}
+
+const TIE_METHOD_HINTS = {
+    lots: '💡 The database draws the lots when you record this. The seed is stored, so anyone can repeat the draw and get the same result.',
+    runoff: '💡 The position stays undecided until a runoff between the tied candidates is held.',
+    manual: '💡 Pick the winners yourself, for example after a decision by the election committee, and record why.'
+};
+
+function updateTieForm() {
+    const method = document.getElementById('tieMethod').value;
+
+    document.getElementById('tieManualFields').classList.toggle('hidden', method !== 'manual');
+    document.getElementById('tieMethodHint').textContent = TIE_METHOD_HINTS[method];
+    document.getElementById('tieSubmitBtn').textContent = method === 'lots' ? 'Draw Lots' : 'Record Resolution';
+}
+
+async function handleTieSubmit(e) {
+    e.preventDefault();
+    if (!resolvingTie) return;
+
+    const { position, tie, names } = resolvingTie;
+    const method = document.getElementById('tieMethod').value;
+    const winners = [...document.querySelectorAll('input[name="tieWinner"]:checked')].map(input => input.value);
+    const reason = document.getElementById('tieReason').value;
+    const submitBtn = document.getElementById('tieSubmitBtn');
+
+    submitBtn.disabled = true;
+    const result = await adminAPI.resolveTie(currentElection.id, position, tie, { method, winners, reason });
+    submitBtn.disabled = false;
+
+    if (!result.success) {
+        showErrorModal('Error', 'Failed to resolve tie: ' + result.error);
+        return;
+    }
+
+    closeTieModal();
+    await loadResults();
+    showSuccessModal('Tie Resolved', `${position}: ${describeTieResolution(result.data, names)}`);
 }
 
 function startResultsAutoRefresh() {
@@ -662,14 +2064,17 @@ async function exportResults() {
         return;
     }
 
+    const format = document.getElementById('exportResultsFormat').value;
     const result = await adminAPI.exportAndDownloadResults(
         currentElection.id,
-        currentElection.title.toLowerCase().replace(/\s+/g, '_')
+        currentElection.title.toLowerCase().replace(/\s+/g, '_'),
+        format
     );
 
     if (!result.success) {
         showErrorModal('Export Failed', 'Failed to export results: ' + result.error);
-    } else {
+    } else if (format !== 'pdf') {
+        // The certificate opens the print dialog instead of downloading
         showSuccessModal(
             'Results Exported',
             'Election results have been downloaded successfully!'
@@ -677,6 +2082,518 @@ async function exportResults() {
     }
 }
 
+// Backup & Restore
+async function backupElection() {
+    if (!currentElection) return;
+
+    const button = document.getElementById('backupElectionBtn');
+    button.disabled = true;
+
+    const result = await adminAPI.downloadElectionArchive(currentElection.id, currentElection.title);
+
+    button.disabled = false;
+
+    if (result.success) {
+        showSuccessModal('Backup Downloaded',
+            `The archive holds ${result.data.ballots.length} ballots and ${result.data.audit_log.length} audit entries. Store it somewhere safe - it contains how every ballot was cast, but not who cast it.`);
+    } else {
+        showErrorModal('Error', 'Failed to back up election: ' + result.error);
+    }
+}
+
+function openRestoreModal() {
+    pendingArchive = null;
+    document.getElementById('restoreForm').reset();
+    document.getElementById('restorePreview').innerHTML = '';
+    document.getElementById('restoreSubmitBtn').disabled = true;
+    showModal(document.getElementById('restoreModal'));
+}
+
+function closeRestoreModal() {
+    hideModal(document.getElementById('restoreModal'));
+    pendingArchive = null;
+}
+
+async function handleRestoreFileChange(e) {
+    const file = e.target.files[0];
+    const preview = document.getElementById('restorePreview');
+    const submitBtn = document.getElementById('restoreSubmitBtn');
+
+    pendingArchive = null;
+    submitBtn.disabled = true;
+    preview.innerHTML = '';
+    if (!file) return;
+
+    let archive;
+    try {
+        archive = JSON.parse(await file.text());
+    } catch {
+        preview.innerHTML = '<div class="roll-errors"><strong>This file is not valid JSON.</strong></div>';
+        return;
+    }
+
+    const errors = validateElectionArchive(archive);
+    if (errors.length > 0) {
+        preview.innerHTML = `
+            <div class="roll-errors">
+                <strong>This archive cannot be restored:</strong>
+                <ul>${errors.slice(0, 10).map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>
+                ${errors.length > 10 ? `<div>…and ${errors.length - 10} more</div>` : ''}
+            </div>
+        `;
+        return;
+    }
+
+    const summary = describeElectionArchive(archive);
+    const audit = await verifyAuditChain(archive.audit_log);
+    // Certifications stay with the project they were made in, so certified elections come back closed
+    const restoredAs = { scheduled: 'draft', certified: 'closed', archived: 'archived' }[summary.status] || summary.status;
+
+    preview.innerHTML = `
+        <strong>${escapeHtml(summary.title)}</strong> - ${STATUS_LABELS[summary.status] || escapeHtml(summary.status)}<br>
+        Exported ${new Date(summary.exportedAt).toLocaleString()}${summary.exportedBy ? ` by ${escapeHtml(summary.exportedBy)}` : ''}<br>
+        ${summary.positions} positions · ${summary.candidates} candidates · ${summary.ballots} ballots · ${summary.auditEntries} audit entries<br>
+        ${audit.valid
+            ? '✅ The audit chain is intact.'
+            : `⚠️ The audit chain is broken at entry #${audit.brokenAt.id}: ${audit.reason}.`}<br>
+        It will be restored as ${STATUS_LABELS[restoredAs] || escapeHtml(restoredAs)}.
+    `;
+
+    pendingArchive = archive;
+    submitBtn.disabled = false;
+}
+
+async function handleRestoreSubmit(e) {
+    e.preventDefault();
+    if (!pendingArchive) return;
+
+    const submitBtn = document.getElementById('restoreSubmitBtn');
+    submitBtn.disabled = true;
+
+    const result = await adminAPI.restoreElectionArchive(pendingArchive);
+
+    submitBtn.disabled = false;
+
+    if (result.success) {
+        closeRestoreModal();
+        await reloadElections(result.data.status === 'archived' ? null : result.data.id);
+        showSuccessModal('Election Restored', result.data.status === 'archived'
+            ? `"${result.data.title}" has been restored and is under Archived.`
+            : `"${result.data.title}" has been restored with its ballots and results.`);
+    } else {
+        showErrorModal('Error', 'Failed to restore election: ' + result.error);
+    }
+}
+
+// Voter Tokens
+async function openTokensModal() {
+    if (!currentElection) return;
+
+    document.getElementById('tokenCount').value = 50;
+    document.getElementById('tokenVoterGroup').value = '';
+    await loadTokenStats();
+    showModal(document.getElementById('tokensModal'));
+}
+
+function closeTokensModal() {
+    hideModal(document.getElementById('tokensModal'));
+}
+
+async function loadTokenStats() {
+    const result = await adminAPI.getTokenStatistics(currentElection.id);
+    const { issued, used } = result.data;
+
+    document.getElementById('tokenStats').innerHTML = `
+        <div class="stat-card">
+            <div class="stat-value">${issued}</div>
+            <div class="stat-label">Issued</div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-value">${used}</div>
+            <div class="stat-label">Redeemed</div>
+        </div>
+    `;
+}
+
+async function handleTokensSubmit(e) {
+    e.preventDefault();
+
+    const count = parseInt(document.getElementById('tokenCount').value, 10);
+    if (!Number.isInteger(count) || count < 1 || count > 10000) {
+        showErrorModal('Validation Error', 'Generate between 1 and 10000 tokens at a time');
+        return;
+    }
+
+    const voterGroup = document.getElementById('tokenVoterGroup').value.trim();
+    const submitBtn = document.getElementById('tokensSubmitBtn');
+    submitBtn.disabled = true;
+
+    const result = await adminAPI.generateVoterTokens(currentElection.id, count, voterGroup);
+
+    submitBtn.disabled = false;
+
+    if (result.success) {
+        adminAPI.downloadTokens(result.data.tokens, currentElection.title, result.data.batchId, voterGroup);
+        await loadTokenStats();
+        showSuccessModal(
+            'Tokens Generated',
+            `${count} tokens have been downloaded. Store the file safely - the tokens cannot be shown again.`
+        );
+    } else {
+        showErrorModal('Error', 'Failed to generate tokens: ' + result.error);
+    }
+}
+
+// Voter Roll
+async function openRollModal() {
+    if (!currentElection) return;
+
+    pendingRollEntries = [];
+    document.getElementById('rollForm').reset();
+    document.getElementById('rollPreview').innerHTML = '';
+    document.getElementById('rollSubmitBtn').disabled = true;
+
+    const { data: rollSize } = await adminAPI.getVoterRollSize(currentElection.id);
+    document.getElementById('rollSize').textContent = 
+        `${rollSize} voter${rollSize === 1 ? '' : 's'} on the roll for this election.`;
+
+    showModal(document.getElementById('rollModal'));
+}
+
+function closeRollModal() {
+    hideModal(document.getElementById('rollModal'));
+    pendingRollEntries = [];
+}
+
+async function handleRollFileChange(e) {
+    const file = e.target.files[0];
+    const preview = document.getElementById('rollPreview');
+    pendingRollEntries = [];
+
+    if (!file) {
+        preview.innerHTML = '';
+        document.getElementById('rollSubmitBtn').disabled = true;
+        return;
+    }
+
+    const { entries, errors } = parseVoterRoll(await file.text());
+    pendingRollEntries = entries;
+
+    const groups = [...new Set(entries.map(entry => entry.voter_group).filter(Boolean))];
+
+    preview.innerHTML = `
+        <div class="roll-summary">
+            ✅ ${entries.length} valid entr${entries.length === 1 ? 'y' : 'ies'}
+            ${groups.length > 0 ? `in ${groups.length} group${groups.length === 1 ? '' : 's'} (${groups.map(escapeHtml).join(', ')})` : ''}
+        </div>
+        ${errors.length > 0 ? `
+            <div class="roll-errors">
+                <strong>⚠️ ${errors.length} row${errors.length === 1 ? '' : 's'} will be skipped:</strong>
+                <ul>
+                    ${errors.slice(0, 20).map(error => `<li>${escapeHtml(error)}</li>`).join('')}
+                    ${errors.length > 20 ? `<li>…and ${errors.length - 20} more</li>` : ''}
+                </ul>
+            </div>
+        ` : ''}
+    `;
+
+    document.getElementById('rollSubmitBtn').disabled = entries.length === 0;
+}
+
+async function handleRollSubmit(e) {
+    e.preventDefault();
+
+    if (pendingRollEntries.length === 0) {
+        showErrorModal('Validation Error', 'Choose a CSV file with at least one valid voter');
+        return;
+    }
+
+    const submitBtn = document.getElementById('rollSubmitBtn');
+    submitBtn.disabled = true;
+
+    const result = await adminAPI.importVoterRoll(currentElection.id, pendingRollEntries);
+
+    submitBtn.disabled = false;
+
+    if (result.success) {
+        closeRollModal();
+        await loadResults();
+        showSuccessModal(
+            'Voter Roll Imported',
+            `${result.data.imported} voters were added or updated.`
+        );
+    } else {
+        showErrorModal('Error', 'Failed to import voter roll: ' + result.error);
+    }
+}
+
+// Election Roles
+async function openRolesModal() {
+    if (!currentElection) return;
+
+    const isOwner = hasPermission(getCurrentRole(), 'manageRoles');
+    document.getElementById('rolesForm').reset();
+    document.getElementById('rolesForm').classList.toggle('hidden', !isOwner);
+    document.getElementById('rolesReadOnly').classList.toggle('hidden', isOwner);
+    updateRoleDescription();
+
+    await loadElectionRoles();
+    showModal(document.getElementById('rolesModal'));
+}
+
+function closeRolesModal() {
+    hideModal(document.getElementById('rolesModal'));
+}
+
+function updateRoleDescription() {
+    const role = document.getElementById('roleSelect').value;
+    document.getElementById('roleDescription').textContent = `💡 ${ROLE_DESCRIPTIONS[role]}`;
+}
+
+async function loadElectionRoles() {
+    const result = await adminAPI.getElectionRoles(currentElection.id);
+    const container = document.getElementById('rolesList');
+
+    if (!result.success) {
+        container.innerHTML = `<div class="loading-state">Failed to load the team: ${escapeHtml(result.error)}</div>`;
+        return;
+    }
+
+    const isOwner = hasPermission(getCurrentRole(), 'manageRoles');
+    const currentEmail = (authManager.getCurrentUser()?.email || '').toLowerCase();
+
+    container.innerHTML = result.data.map(assignment => {
+        const email = escapeHtml(assignment.organizer_email);
+        const isSelf = assignment.organizer_email === currentEmail;
+
+        if (!isOwner) {
+            return `
+                <div class="role-row">
+                    <span class="role-email">${email}${isSelf ? ' (you)' : ''}</span>
+                    <span>${ROLE_LABELS[assignment.role]}</span>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="role-row" data-email="${email}">
+                <span class="role-email">${email}${isSelf ? ' (you)' : ''}</span>
+                <select class="input-glass role-select">
+                    ${ELECTION_ROLES.map(role => `
+                        <option value="${role}" ${role === assignment.role ? 'selected' : ''}>${ROLE_LABELS[role]}</option>
+                    `).join('')}
+                </select>
+                <button class="btn-delete role-remove" title="Remove from team">
+                    <svg class="btn-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+                    </svg>
+                </button>
+            </div>
+        `;
+    }).join('');
+
+    // Emails are typed in by organizers, so they are read back from the row rather than written into handlers
+    container.querySelectorAll('.role-row[data-email]').forEach(row => {
+        const email = row.dataset.email;
+        row.querySelector('.role-select').addEventListener('change', (e) => changeElectionRole(email, e.target.value));
+        row.querySelector('.role-remove').addEventListener('click', () => removeElectionRole(email));
+    });
+}
+
+async function handleRoleSubmit(e) {
+    e.preventDefault();
+
+    const email = document.getElementById('roleEmail').value.trim();
+    const role = document.getElementById('roleSelect').value;
+    const submitBtn = document.getElementById('rolesSubmitBtn');
+    submitBtn.disabled = true;
+
+    const result = await adminAPI.setElectionRole(currentElection.id, email, role);
+
+    submitBtn.disabled = false;
+
+    if (result.success) {
+        document.getElementById('roleEmail').value = '';
+        await loadElectionRoles();
+    } else {
+        showErrorModal('Error', 'Failed to add organizer: ' + result.error);
+    }
+}
+
+async function changeElectionRole(email, role) {
+    const result = await adminAPI.setElectionRole(currentElection.id, email, role);
+    if (!result.success) {
+        showErrorModal('Error', 'Failed to change role: ' + result.error);
+    }
+
+    // Changing your own role changes what the dashboard lets you do
+    await refreshMyRoles();
+    await loadElectionRoles();
+}
+
+function removeElectionRole(email) {
+    showConfirmModal(
+        'Remove from Team',
+        `Remove ${email} from this election? They will no longer see it in their dashboard.`,
+        async () => {
+            const result = await adminAPI.removeElectionRole(currentElection.id, email);
+            closeConfirmModal();
+
+            if (result.success) {
+                await refreshMyRoles();
+                if (myRoles[currentElection.id]) {
+                    await loadElectionRoles();
+                } else {
+                    // Removed ourselves
+                    window.location.reload();
+                }
+            } else {
+                showErrorModal('Error', 'Failed to remove organizer: ' + result.error);
+            }
+        },
+        true
+    );
+}
+
+async function refreshMyRoles() {
+    const result = await adminAPI.getMyElectionRoles();
+    if (result.success) {
+        myRoles = result.data;
+        updateElectionUI();
+        await loadCandidates();
+    }
+}
+
+// Tabs
+function switchTab(tabId) {
+    document.querySelectorAll('.tab-btn').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.tab === tabId);
+    });
+    document.querySelectorAll('.tab-panel').forEach(panel => {
+        panel.classList.toggle('hidden', panel.id !== tabId);
+    });
+
+    if (tabId === 'auditTab') {
+        loadAuditLog();
+    }
+}
+
+// Audit Log
+async function loadAuditLog() {
+    const scope = document.getElementById('auditScope').value;
+    const filters = {
+        electionId: scope === 'election' ? currentElection?.id : null,
+        action: document.getElementById('auditAction').value,
+        entityType: document.getElementById('auditEntity').value,
+        actor: document.getElementById('auditActor').value.trim()
+    };
+
+    const result = await adminAPI.getAuditLog(filters);
+    const container = document.getElementById('auditList');
+
+    if (!result.success) {
+        container.innerHTML = `<div class="loading-state">Failed to load audit log: ${escapeHtml(result.error)}</div>`;
+        return;
+    }
+
+    if (result.data.length === 0) {
+        container.innerHTML = '<div class="loading-state">No matching entries</div>';
+        return;
+    }
+
+    container.innerHTML = result.data.map(entry => `
+        <div class="audit-entry">
+            <div class="audit-entry-header">
+                <span class="audit-action">${AUDIT_ACTIONS[entry.action] || escapeHtml(entry.action)}</span>
+                <span class="audit-entity">${escapeHtml(describeAuditEntity(entry))}</span>
+                <span class="audit-meta">${escapeHtml(entry.actor_email || 'unknown')} · ${new Date(entry.recorded_at).toLocaleString()}</span>
+            </div>
+            ${renderAuditChanges(entry)}
+            <div class="audit-hash" title="${escapeHtml(entry.hash)}">#${entry.id} · ${escapeHtml(entry.hash.slice(0, 16))}…</div>
+        </div>
+    `).join('');
+}
+
+function describeAuditEntity(entry) {
+    const data = entry.after_data || entry.before_data || {};
+    const name = data.name || data.title || '';
+
+    switch (entry.entity_type) {
+        case 'election': return `Election${name ? `: ${name}` : ''}`;
+        case 'candidate': return `Candidate${name ? `: ${name}` : ''}${data.position ? ` (${data.position})` : ''}`;
+        case 'position': return `Position${name ? `: ${name}` : ''}`;
+        case 'voter_tokens': return `Voter tokens: ${data.count} in batch ${(data.batch_id || '').slice(0, 8)}`;
+        case 'voter_roll': return `Voter roll: ${data.imported} entries`;
+        case 'candidate_slate': return `Candidates: ${data.imported} imported`;
+        case 'election_template': return `Template${name ? `: ${name}` : ''}`;
+        case 'election_role': return `Role: ${entry.entity_id} as ${ROLE_LABELS[data.role] || data.role}`;
+        case 'tie_resolution': return `Tie: ${data.position} (${TIE_BREAK_METHODS[data.method] || data.method})`;
+        default: return entry.entity_type;
+    }
+}
+
+// Show the fields that changed (updates) or the recorded values (creates and deletes)
+function renderAuditChanges(entry) {
+    const before = entry.before_data || {};
+    const after = entry.after_data || {};
+    const ignored = ['id', 'election_id', 'created_at', 'updated_at'];
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(key => !ignored.includes(key))
+        .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+
+    if (keys.length === 0) return '';
+
+    const formatValue = (value) => value === undefined || value === null ? '—' : escapeHtml(
+        typeof value === 'object' ? JSON.stringify(value) : String(value)
+    );
+
+    return `
+        <details class="audit-changes">
+            <summary>${keys.length} field${keys.length === 1 ? '' : 's'}</summary>
+            <table>
+                ${keys.map(key => `
+                    <tr>
+                        <th>${escapeHtml(key)}</th>
+                        <td>${entry.before_data ? formatValue(before[key]) : ''}</td>
+                        <td>${entry.before_data && entry.after_data ? '→' : ''}</td>
+                        <td>${entry.after_data ? formatValue(after[key]) : ''}</td>
+                    </tr>
+                `).join('')}
+            </table>
+        </details>
+    `;
+}
+
+// Each election has its own chain, so the selected election's is the one verified
+async function verifyAuditLog() {
+    if (!currentElection) return;
+
+    const verifyBtn = document.getElementById('verifyChainBtn');
+    const resultBox = document.getElementById('auditVerifyResult');
+    verifyBtn.disabled = true;
+
+    const chain = await adminAPI.getAuditChain(currentElection.id);
+
+    if (!chain.success) {
+        verifyBtn.disabled = false;
+        showErrorModal('Verification Failed', 'Could not load the audit log: ' + chain.error);
+        return;
+    }
+
+    const verification = await verifyAuditChain(chain.data);
+    verifyBtn.disabled = false;
+
+    resultBox.classList.remove('hidden', 'valid', 'broken');
+    if (verification.valid) {
+        resultBox.classList.add('valid');
+        resultBox.textContent = `✅ Chain intact - all ${verification.checked} entries for ${currentElection.title} verified.`;
+    } else {
+        resultBox.classList.add('broken');
+        resultBox.textContent = `⚠️ Chain broken at entry #${verification.brokenAt.id} ` +
+            `(${verification.checked} entries before it verified): ${verification.reason}.`;
+    }
+}
+
 // Modals - Update existing functions
 function showModal(modalElement) {
     modalElement.classList.remove('hidden');
@@ -740,17 +2657,10 @@ function closeConfirmModal() {
     hideModal(document.getElementById('confirmModal'));
 }
 
-// Utilities
-function escapeHtml(text) {
-    if (!text) return '';
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-}
-
 // Cleanup
 window.addEventListener('beforeunload', () => {
     if (resultsRefreshInterval) clearInterval(resultsRefreshInterval);
+    if (countdownInterval) clearInterval(countdownInterval);
     if (votesSubscription) adminAPI.unsubscribe(votesSubscription);
 });
 
@@ -0,0 +1,112 @@
+/**
+ * Election lifecycle
+ * draft → scheduled → open → closed → certified → archived
+ */
+
+export const ELECTION_STATUSES = ['draft', 'scheduled', 'open', 'closed', 'certified', 'archived'];
+
+// Allowed moves from each status - mirrored by the elections_status_transition trigger.
+// Archived elections are restored to the status they were archived from (getRestoreStatus).
+export const STATUS_TRANSITIONS = {
+    draft: ['scheduled', 'open', 'archived'],
+    scheduled: ['draft', 'open'],
+    open: ['closed'],
+    closed: ['certified', 'archived'],
+    certified: ['archived'],
+    archived: []
+};
+
+// Days between asking for an election to be deleted and the purge job removing it
+export const PURGE_GRACE_DAYS = 7;
+
+export const STATUS_LABELS = {
+    draft: 'Draft',
+    scheduled: 'Scheduled',
+    open: 'Voting Open',
+    closed: 'Voting Closed',
+    certified: 'Certified',
+    archived: 'Archived'
+};
+
+export const STATUS_ICONS = {
+    draft: '📝',
+    scheduled: '🕒',
+    open: '🟢',
+    closed: '🔴',
+    certified: '✅',
+    archived: '📦'
+};
+
+/**
+ * Check whether an election may move to a new status
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+    return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Candidates and positions can only change while the election is a draft
+ * @param {string} status - Election status
+ * @returns {boolean}
+ */
+export function canEditCandidates(status) {
+    return status === 'draft';
+}
+
+/**
+ * Results are shown to voters once voting has closed
+ * @param {string} status - Election status
+ * @returns {boolean}
+ */
+export function areResultsPublic(status) {
+    return ['closed', 'certified', 'archived'].includes(status);
+}
+
+/**
+ * The status an archived election returns to when restored
+ * Elections archived before archived_from was recorded can only have come from closed or certified
+ * @param {Object} election - Election row
+ * @returns {string|null} Status, or null if the election is not archived
+ */
+export function getRestoreStatus(election) {
+    if (election?.status !== 'archived') return null;
+    return election.archived_from || 'closed';
+}
+
+/**
+ * Certified and archived elections cannot be changed
+ * @param {string} status - Election status
+ * @returns {boolean}
+ */
+export function isReadOnly(status) {
+    return ['certified', 'archived'].includes(status);
+}
+
+// Election columns organizers can edit after creating the election
+export const EDITABLE_ELECTION_FIELDS = [
+    'title', 'description', 'starts_at', 'ends_at', 'time_zone', 'voter_auth_mode', 'live_results'
+];
+
+// What the public results page shows while voting is open; once it closes, results are public anyway
+export const LIVE_RESULTS_MODES = {
+    hidden: 'Hidden',
+    turnout: 'Turnout only',
+    full: 'Full results'
+};
+
+/**
+ * Election fields that can no longer be edited. Ballots cast so far were accepted under the
+ * opening time and voter identification, so those are fixed once voting starts; the closing
+ * time follows once voting has closed.
+ * @param {string} status - Election status
+ * @returns {Array<string>} Locked columns from EDITABLE_ELECTION_FIELDS
+ */
+export function getLockedElectionFields(status) {
+    if (isReadOnly(status)) return [...EDITABLE_ELECTION_FIELDS];
+    if (status === 'closed') return ['starts_at', 'ends_at', 'time_zone', 'voter_auth_mode'];
+    if (status === 'open') return ['starts_at', 'time_zone', 'voter_auth_mode'];
+    return [];
+}
@@ -0,0 +1,94 @@
+/**
+ * Candidate photos
+ * Square crop and resize in the browser, so only small JPEGs are ever uploaded
+ */
+
+export const PHOTO_SIZE = 512;
+export const THUMBNAIL_SIZE = 128;
+export const MAX_PHOTO_ZOOM = 3;
+
+const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const MAX_FILE_BYTES = 15 * 1024 * 1024;
+
+/**
+ * Check an uploaded file before decoding it
+ * @param {File} file - Selected file
+ * @returns {string|null} Error message, or null when the file can be used
+ */
+export function validatePhotoFile(file) {
+    if (!ACCEPTED_TYPES.includes(file.type)) {
+        return 'Choose a JPEG, PNG, WebP or GIF image';
+    }
+    if (file.size > MAX_FILE_BYTES) {
+        return 'The image is larger than 15 MB';
+    }
+    return null;
+}
+
+/**
+ * Decode an image file, respecting its EXIF orientation
+ * @param {File} file - Image file
+ * @returns {Promise<ImageBitmap>}
+ */
+export function loadPhoto(file) {
+    return createImageBitmap(file, { imageOrientation: 'from-image' });
+}
+
+/**
+ * Work out the square to cut from an image
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} zoom - 1 shows the largest square that fits, up to MAX_PHOTO_ZOOM
+ * @param {number} panX - Horizontal position of the square, -1 (left edge) to 1 (right edge)
+ * @param {number} panY - Vertical position of the square, -1 (top edge) to 1 (bottom edge)
+ * @returns {{x: number, y: number, size: number}} Source rectangle in image pixels
+ */
+export function getCropRect(width, height, zoom = 1, panX = 0, panY = 0) {
+    const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+    const size = Math.min(width, height) / clamp(zoom, 1, MAX_PHOTO_ZOOM);
+    const spareX = width - size;
+    const spareY = height - size;
+
+    return {
+        x: spareX / 2 + clamp(panX, -1, 1) * spareX / 2,
+        y: spareY / 2 + clamp(panY, -1, 1) * spareY / 2,
+        size
+    };
+}
+
+/**
+ * Draw the cropped square onto a canvas, scaled to fill it
+ * @param {HTMLCanvasElement} canvas - Target canvas (square)
+ * @param {ImageBitmap} image - Decoded image
+ * @param {{x: number, y: number, size: number}} crop - From getCropRect
+ */
+export function drawCrop(canvas, image, crop) {
+    const context = canvas.getContext('2d');
+    context.imageSmoothingQuality = 'high';
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, crop.x, crop.y, crop.size, crop.size, 0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Render the cropped square as a JPEG
+ * @param {ImageBitmap} image - Decoded image
+ * @param {{x: number, y: number, size: number}} crop - From getCropRect
+ * @param {number} size - Output width and height in pixels
+ * @returns {Promise<Blob>}
+ */
+export function renderPhoto(image, crop, size) {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+
+    // JPEG has no transparency - give transparent PNGs a white background instead of black
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, size, size);
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(image, crop.x, crop.y, crop.size, crop.size, 0, 0, size, size);
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode the photo')), 'image/jpeg', 0.85);
+    });
+}
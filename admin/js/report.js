@@ -0,0 +1,314 @@
+/**
+ * Results reports
+ * One model of an election's results - metadata, turnout, per-position tallies and winners -
+ * rendered as JSON, as spreadsheet sheets, or as a printable certificate
+ */
+
+import { formatInTimeZone } from './schedule.js';
+import { STATUS_LABELS } from './lifecycle.js';
+import { percentage, describeWinRule } from '../../site/js/tally.js';
+import { TIE_BREAK_METHODS, describeTieResolution } from './ties.js';
+import { escapeHtml } from '../../site/js/html.js';
+
+export const REPORT_VERSION = 1;
+
+// Excel rejects sheet names longer than this or containing any of these characters
+const MAX_SHEET_NAME = 31;
+const SHEET_NAME_INVALID = /[\\/?*[\]:]/g;
+
+/**
+ * Build the report for an election
+ * @param {Object} parts
+ * @param {Object} parts.election - Election row
+ * @param {Object} parts.snapshot - From AdminAPI.getResultsSnapshot
+ * @param {Object} parts.positions - Position settings keyed by title
+ * @param {Object} parts.turnout - Eligible and voted counts keyed by position
+ * @param {Object} parts.statistics - From AdminAPI.getVoteStatistics
+ * @param {string|null} parts.generatedBy - Email of the organizer exporting
+ * @returns {Object} Report
+ */
+export function buildResultsReport({ election, snapshot, positions, turnout, statistics, generatedBy }) {
+    const byPosition = snapshot.results.reduce((acc, result) => {
+        (acc[result.position] = acc[result.position] || []).push(result);
+        return acc;
+    }, {});
+
+    const names = Object.fromEntries(snapshot.results.map(result => [result.candidate_id, result.candidate_name]));
+
+    return {
+        version: REPORT_VERSION,
+        generated_at: snapshot.generated_at,
+        generated_by: generatedBy || null,
+        certification: snapshot.certification || null,
+        election: {
+            id: election.id,
+            title: election.title,
+            description: election.description || null,
+            status: election.status,
+            starts_at: election.starts_at || null,
+            ends_at: election.ends_at || null,
+            closed_at: election.closed_at || null,
+            time_zone: election.time_zone || null
+        },
+        turnout: {
+            ballots: statistics.uniqueVoters || 0,
+            votes: statistics.totalVotes || 0,
+            roll_size: statistics.rollSize || null,
+            percentage: statistics.rollSize > 0 ? percentage(statistics.uniqueVoters || 0, statistics.rollSize) : null
+        },
+        positions: Object.entries(byPosition).map(([title, results]) => {
+            const settings = positions[title] || {};
+            const count = snapshot.ranked?.[title];
+            const tie = snapshot.ties?.[title];
+            const runoff = snapshot.runoffs?.[title];
+            const seats = settings.seats || 1;
+
+            // Winners were marked when the snapshot was tallied
+            const candidates = results.map(result => ({
+                name: result.candidate_name,
+                votes: result.total_votes,
+                percentage: result.vote_percentage,
+                elected: result.elected
+            }));
+
+            return {
+                title,
+                voting_method: count ? 'ranked' : 'plurality',
+                seats: count ? 1 : seats,
+                win_rule: count || seats > 1 ? null : describeWinRule(settings),
+                eligible_voters: turnout[title]?.eligible || null,
+                voted: turnout[title]?.voted ?? null,
+                candidates,
+                winners: candidates.filter(candidate => candidate.elected).map(candidate => candidate.name),
+                tied: (tie?.candidates || []).map(id => names[id]),
+                tie_resolution: tie?.resolution ? {
+                    method: tie.resolution.method,
+                    description: describeTieResolution(tie.resolution, names),
+                    winners: tie.resolution.winners.map(id => names[id]),
+                    seed: tie.resolution.seed,
+                    reason: tie.resolution.reason,
+                    resolved_by: tie.resolution.resolved_by,
+                    resolved_at: tie.resolution.resolved_at
+                } : null,
+                runoff: runoff ? runoff.candidates.map(id => names[id]) : null,
+                rounds: count ? count.rounds.map(round => ({
+                    number: round.number,
+                    tallies: Object.fromEntries(Object.entries(round.tallies).map(([id, votes]) => [names[id], votes])),
+                    eliminated: round.eliminated.map(id => names[id]),
+                    tie_break: round.tieBreak || null,
+                    exhausted: round.exhausted
+                })) : null
+            };
+        })
+    };
+}
+
+/**
+ * Make sheet names Excel accepts: short, no reserved characters, no duplicates
+ * @param {Array<string>} titles - Wanted names
+ * @returns {Array<string>}
+ */
+function toSheetNames(titles) {
+    const used = new Set();
+
+    return titles.map(title => {
+        const base = (title.replace(SHEET_NAME_INVALID, ' ').trim() || 'Position').slice(0, MAX_SHEET_NAME);
+        let name = base;
+
+        for (let n = 2; used.has(name.toLowerCase()); n++) {
+            const suffix = ` (${n})`;
+            name = base.slice(0, MAX_SHEET_NAME - suffix.length) + suffix;
+        }
+
+        used.add(name.toLowerCase());
+        return name;
+    });
+}
+
+/**
+ * Lay the report out as spreadsheet sheets: a summary, then one sheet per position
+ * @param {Object} report - From buildResultsReport
+ * @returns {Array<{name: string, rows: Array<Array<*>>}>}
+ */
+export function reportToSheets(report) {
+    const { election, turnout } = report;
+    const summary = [
+        ['Election', election.title],
+        ['Status', STATUS_LABELS[election.status] || election.status],
+        ['Voting opened', election.starts_at || ''],
+        ['Voting closed', election.closed_at || election.ends_at || ''],
+        ['Time zone', election.time_zone || ''],
+        ['Ballots cast', turnout.ballots],
+        ['Votes recorded', turnout.votes],
+        ...(turnout.roll_size ? [['Voters on roll', turnout.roll_size], ['Turnout (%)', turnout.percentage]] : []),
+        ...(report.certification ? [
+            ['Certified at', report.certification.certified_at],
+            ['Certified by', report.certification.certified_by || ''],
+            ['Ballots certified', report.certification.ballot_count],
+            ['Ballot set hash (SHA-256)', report.certification.ballot_hash]
+        ] : []),
+        ['Generated at', report.generated_at],
+        ['Generated by', report.generated_by || ''],
+        [],
+        ['Position', 'Winners', 'Tie']
+    ];
+    report.positions.forEach(position => {
+        summary.push([
+            position.title,
+            position.winners.join(', '),
+            position.runoff
+                ? `Runoff: ${position.runoff.join(', ')}`
+                : position.tie_resolution?.description || (position.tied.length > 0 ? `Unresolved: ${position.tied.join(', ')}` : '')
+        ]);
+    });
+
+    const sheetNames = toSheetNames(['Summary', ...report.positions.map(position => position.title)]);
+
+    const positionSheets = report.positions.map((position, index) => {
+        const rows = [
+            [position.title],
+            ['Voting method', position.voting_method === 'ranked' ? 'Ranked choice' : 'Plurality'],
+            ['Seats', position.seats],
+            ...(position.win_rule ? [['To win', position.win_rule]] : []),
+            ...(position.eligible_voters ? [['Turnout', `${position.voted} of ${position.eligible_voters}`]] : []),
+            ...(position.tied.length > 0 ? [['Tied', position.tied.join(', ')]] : []),
+            ...(position.tie_resolution ? [
+                ['Tie broken by', TIE_BREAK_METHODS[position.tie_resolution.method]],
+                ['Resolution', position.tie_resolution.description],
+                ['Resolved by', position.tie_resolution.resolved_by || ''],
+                ['Resolved at', position.tie_resolution.resolved_at]
+            ] : []),
+            ...(position.runoff ? [['Runoff between', position.runoff.join(', ')]] : []),
+            [],
+            ['Candidate', 'Votes', 'Percentage', 'Elected'],
+            ...position.candidates.map(candidate => [
+                candidate.name,
+                candidate.votes,
+                candidate.percentage,
+                candidate.elected ? 'Yes' : ''
+            ])
+        ];
+
+        (position.rounds || []).forEach(round => {
+            rows.push([], [`Round ${round.number}`, 'Votes']);
+            Object.entries(round.tallies)
+                .sort((a, b) => b[1] - a[1])
+                .forEach(([name, votes]) => rows.push([name, votes]));
+            if (round.eliminated.length > 0) rows.push(['Eliminated', round.eliminated.join(', ')]);
+            if (round.exhausted > 0) rows.push(['Exhausted ballots', round.exhausted]);
+        });
+
+        return { name: sheetNames[index + 1], rows };
+    });
+
+    return [{ name: sheetNames[0], rows: summary }, ...positionSheets];
+}
+
+/**
+ * Render the report as a standalone, print-ready HTML certificate
+ * @param {Object} report - From buildResultsReport
+ * @returns {string} HTML document
+ */
+export function renderCertificate(report) {
+    const { election, turnout } = report;
+    const when = (iso) => iso ? escapeHtml(formatInTimeZone(iso, election.time_zone)) : '—';
+    const { certification } = report;
+
+    const positions = report.positions.map(position => {
+        const tied = position.tied.map(escapeHtml).join(', ');
+        const outcome = [
+            position.winners.length > 0 ? `Elected: <strong>${position.winners.map(escapeHtml).join(', ')}</strong>` : '',
+            position.tie_resolution
+                ? `Tie between ${tied}: ${escapeHtml(position.tie_resolution.description)}`
+                : position.tied.length > 0 ? `Tied: ${tied} - not yet resolved` : '',
+            position.runoff && position.win_rule && position.tied.length === 0
+                ? `No candidate reached ${escapeHtml(position.win_rule.toLowerCase())}`
+                : '',
+            position.runoff ? `Runoff between ${position.runoff.map(escapeHtml).join(', ')}` : ''
+        ].filter(Boolean).join('<br>') || 'No candidate elected';
+        const method = position.voting_method === 'ranked'
+            ? `Ranked choice, decided in ${position.rounds.length} round${position.rounds.length === 1 ? '' : 's'}`
+            : `${position.seats} seat${position.seats === 1 ? '' : 's'}${position.win_rule ? ` · to win: ${escapeHtml(position.win_rule.toLowerCase())}` : ''}`;
+
+        return `
+            <section class="position">
+                <h2>${escapeHtml(position.title)}</h2>
+                <p class="meta">${method}${position.eligible_voters
+                    ? ` · ${position.voted} of ${position.eligible_voters} eligible voters voted (${percentage(position.voted, position.eligible_voters)}%)`
+                    : ''}</p>
+                <table>
+                    <thead><tr><th>Candidate</th><th>Votes</th><th>%</th><th></th></tr></thead>
+                    <tbody>
+                        ${position.candidates.map(candidate => `
+                            <tr class="${candidate.elected ? 'elected' : ''}">
+                                <td>${escapeHtml(candidate.name)}</td>
+                                <td>${candidate.votes}</td>
+                                <td>${candidate.percentage}</td>
+                                <td>${candidate.elected ? 'Elected' : ''}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <p class="outcome">${outcome}</p>
+            </section>
+        `;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(election.title)} - Results Certificate</title>
+<style>
+    @page { size: A4; margin: 18mm; }
+    body { font-family: Georgia, 'Times New Roman', serif; color: #111; margin: 0; }
+    header { text-align: center; border-bottom: 2px solid #111; padding-bottom: 12px; margin-bottom: 18px; }
+    header h1 { font-size: 22pt; margin: 0 0 4px; }
+    header .subtitle { font-size: 12pt; letter-spacing: 0.15em; text-transform: uppercase; }
+    .provisional { color: #b91c1c; font-weight: bold; margin-top: 6px; }
+    dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; font-size: 10pt; margin: 0 0 18px; }
+    dt { font-weight: bold; }
+    dd { margin: 0; }
+    .hash { font-family: 'Courier New', monospace; font-size: 8pt; word-break: break-all; }
+    .position { break-inside: avoid; margin-bottom: 16px; }
+    .position h2 { font-size: 13pt; margin: 0 0 2px; }
+    .meta { font-size: 9pt; color: #444; margin: 0 0 6px; }
+    table { width: 100%; border-collapse: collapse; font-size: 10pt; }
+    th, td { border-bottom: 1px solid #ccc; padding: 4px 6px; text-align: left; }
+    th:nth-child(2), th:nth-child(3), td:nth-child(2), td:nth-child(3) { text-align: right; }
+    tr.elected td { font-weight: bold; }
+    .outcome { font-size: 10pt; margin: 6px 0 0; }
+    .signatures { break-inside: avoid; display: grid; grid-template-columns: 1fr 1fr; gap: 24px 48px; margin-top: 36px; font-size: 10pt; }
+    .signature { border-top: 1px solid #111; padding-top: 4px; margin-top: 36px; }
+    footer { margin-top: 24px; font-size: 8pt; color: #666; text-align: center; }
+</style>
+</head>
+<body>
+    <header>
+        <div class="subtitle">Certificate of Election Results</div>
+        <h1>${escapeHtml(election.title)}</h1>
+        ${election.description ? `<div>${escapeHtml(election.description)}</div>` : ''}
+        ${!certification ? `<div class="provisional">Provisional - the election is ${escapeHtml((STATUS_LABELS[election.status] || election.status).toLowerCase())} and not yet certified</div>` : ''}
+    </header>
+    <dl>
+        <dt>Voting opened</dt><dd>${when(election.starts_at)}</dd>
+        <dt>Voting closed</dt><dd>${when(election.closed_at || election.ends_at)}</dd>
+        <dt>Ballots cast</dt><dd>${turnout.ballots}</dd>
+        ${turnout.roll_size ? `<dt>Turnout</dt><dd>${turnout.ballots} of ${turnout.roll_size} voters on the roll (${turnout.percentage}%)</dd>` : ''}
+        ${certification ? `
+        <dt>Certified</dt><dd>${when(certification.certified_at)}${certification.certified_by ? ` by ${escapeHtml(certification.certified_by)}` : ''}</dd>
+        <dt>Ballot set</dt><dd>${certification.ballot_count} ballots, SHA-256 <span class="hash">${escapeHtml(certification.ballot_hash)}</span></dd>
+        ` : ''}
+        <dt>Report generated</dt><dd>${when(report.generated_at)}</dd>
+    </dl>
+    ${positions || '<p>No votes have been cast.</p>'}
+    <div class="signatures">
+        <div><div class="signature">Returning Officer - name</div></div>
+        <div><div class="signature">Signature</div></div>
+        <div><div class="signature">Date</div></div>
+        <div><div class="signature">Witness</div></div>
+    </div>
+    <footer>Election ${escapeHtml(election.id)}${report.generated_by ? ` · generated by ${escapeHtml(report.generated_by)}` : ''}</footer>
+</body>
+</html>`;
+}
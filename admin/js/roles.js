@@ -0,0 +1,49 @@
+/**
+ * Per-election organizer roles
+ * Owners can do everything, managers run the election, observers can only look
+ */
+
+export const ELECTION_ROLES = ['owner', 'manager', 'observer'];
+
+export const ROLE_LABELS = {
+    owner: 'Owner',
+    manager: 'Manager',
+    observer: 'Observer'
+};
+
+export const ROLE_DESCRIPTIONS = {
+    owner: 'Everything a manager can do, plus certify, archive, restore and delete the election and manage roles',
+    manager: 'Edit candidates and positions, manage voters, and open or close voting',
+    observer: 'Read-only access to live results and the audit log'
+};
+
+// What each role may do - mirrored by the RLS policies and the elections_role_check trigger
+const ROLE_PERMISSIONS = {
+    owner: ['view', 'manage', 'certify', 'delete', 'manageRoles'],
+    manager: ['view', 'manage'],
+    observer: ['view']
+};
+
+// Statuses only an owner may move an election to
+const OWNER_STATUSES = ['certified', 'archived'];
+
+/**
+ * Check whether a role includes a permission
+ * @param {string|null} role - The organizer's role on the election, or null for none
+ * @param {string} permission - view, manage, certify, delete or manageRoles
+ * @returns {boolean}
+ */
+export function hasPermission(role, permission) {
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Check whether a role may move an election to a status
+ * The lifecycle decides separately whether the move itself is allowed
+ * @param {string|null} role - The organizer's role on the election
+ * @param {string} status - Requested status
+ * @returns {boolean}
+ */
+export function canSetStatus(role, status) {
+    return hasPermission(role, OWNER_STATUSES.includes(status) ? 'certify' : 'manage');
+}
@@ -0,0 +1,73 @@
+/**
+ * Voter roll import
+ * Turns an uploaded CSV (ID, email, group) into roll entries, reporting problems per line
+ */
+
+import { parseCSV } from './csv.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Accepted header names for each column
+const COLUMN_ALIASES = {
+    voter_ref: ['id', 'voter id', 'voter_id', 'roll id'],
+    email: ['email', 'e-mail', 'email address'],
+    voter_group: ['group', 'voter group', 'voter_group']
+};
+
+/**
+ * Work out which column holds which field
+ * @param {Array<string>} header - First row of the file
+ * @returns {Object|null} Column index per field, or null when the row is not a header
+ */
+function findColumns(header) {
+    const names = header.map(cell => cell.trim().toLowerCase());
+    const columns = {};
+
+    Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+        const index = names.findIndex(name => aliases.includes(name));
+        if (index !== -1) columns[field] = index;
+    });
+
+    return columns.voter_ref !== undefined && columns.email !== undefined ? columns : null;
+}
+
+/**
+ * Parse a voter roll CSV
+ * Files without a recognised header are read as ID, email, group
+ * @param {string} text - CSV content
+ * @returns {{entries: Array<Object>, errors: Array<string>}} Valid entries and one message per rejected line
+ */
+export function parseVoterRoll(text) {
+    const rows = parseCSV(text);
+    const entries = [];
+    const errors = [];
+    const seen = new Set();
+
+    if (rows.length === 0) {
+        return { entries, errors: ['The file is empty'] };
+    }
+
+    const header = findColumns(rows[0]);
+    const columns = header || { voter_ref: 0, email: 1, voter_group: 2 };
+    const firstLine = header ? 2 : 1;
+
+    rows.slice(header ? 1 : 0).forEach((row, index) => {
+        const line = firstLine + index;
+        const voterRef = (row[columns.voter_ref] || '').trim();
+        const email = (row[columns.email] || '').trim().toLowerCase();
+        const voterGroup = columns.voter_group !== undefined ? (row[columns.voter_group] || '').trim() : '';
+
+        if (!voterRef) {
+            errors.push(`Row ${line}: missing voter ID`);
+        } else if (!EMAIL_PATTERN.test(email)) {
+            errors.push(`Row ${line}: invalid email "${email}"`);
+        } else if (seen.has(voterRef)) {
+            errors.push(`Row ${line}: duplicate voter ID "${voterRef}"`);
+        } else {
+            seen.add(voterRef);
+            entries.push({ voter_ref: voterRef, email, voter_group: voterGroup || null });
+        }
+    });
+
+    return { entries, errors };
+}
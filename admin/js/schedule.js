@@ -0,0 +1,139 @@
+/**
+ * Election scheduling helpers
+ * Converts wall-clock times in an organizer's time zone to UTC and formats countdowns
+ */
+
+/**
+ * Get the browser's IANA time zone
+ * @returns {string} Time zone name, e.g. "Europe/Berlin"
+ */
+export function getLocalTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * List the time zones the browser knows about
+ * @returns {Array<string>} IANA time zone names
+ */
+export function getTimeZones() {
+    if (typeof Intl.supportedValuesOf === 'function') {
+        return Intl.supportedValuesOf('timeZone');
+    }
+    return [getLocalTimeZone(), 'UTC'];
+}
+
+/**
+ * Offset of a time zone from UTC at a given instant
+ * @param {Date} date - Instant to measure at
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function getTimeZoneOffset(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date).reduce((acc, part) => {
+        acc[part.type] = part.value;
+        return acc;
+    }, {});
+
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+/**
+ * Convert a wall-clock time in a time zone to an ISO timestamp
+ * @param {string} localValue - Value of a datetime-local input, e.g. "2024-03-01T09:00"
+ * @param {string} timeZone - IANA time zone the value is expressed in
+ * @returns {string|null} UTC ISO string, or null for an empty value
+ */
+export function zonedTimeToUtc(localValue, timeZone) {
+    if (!localValue) return null;
+
+    const [datePart, timePart = '00:00'] = localValue.split('T');
+    const [year, month, day] = datePart.split('-').map(Number);
+    const [hour, minute] = timePart.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Apply the offset twice so times next to a DST change settle on the right side
+    let utc = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+    utc = wallClock - getTimeZoneOffset(new Date(utc), timeZone);
+
+    return new Date(utc).toISOString();
+}
+
+/**
+ * Convert an ISO timestamp to a datetime-local value in a time zone
+ * @param {string} isoValue - UTC ISO timestamp
+ * @param {string} timeZone - IANA time zone to express it in
+ * @returns {string} Value for a datetime-local input, or an empty string
+ */
+export function utcToZonedTime(isoValue, timeZone) {
+    if (!isoValue) return '';
+
+    const date = new Date(isoValue);
+    const zoned = new Date(date.getTime() + getTimeZoneOffset(date, timeZone));
+    return zoned.toISOString().slice(0, 16);
+}
+
+/**
+ * Format a timestamp for display in the election's time zone
+ * @param {string} isoValue - UTC ISO timestamp
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} Human readable date and time
+ */
+export function formatInTimeZone(isoValue, timeZone) {
+    // dateStyle/timeStyle cannot be combined with timeZoneName, so the parts are spelled out
+    return new Intl.DateTimeFormat(undefined, {
+        timeZone: timeZone || getLocalTimeZone(),
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZoneName: 'short'
+    }).format(new Date(isoValue));
+}
+
+/**
+ * Work out the next scheduled change for an election
+ * @param {Object} election - Election row with status, starts_at and ends_at
+ * @returns {{label: string, target: number}|null} Upcoming event, or null when nothing is scheduled
+ */
+export function getNextScheduledEvent(election) {
+    if (!election) return null;
+
+    const startsAt = election.starts_at ? new Date(election.starts_at).getTime() : null;
+    const endsAt = election.ends_at ? new Date(election.ends_at).getTime() : null;
+
+    if (election.status === 'scheduled' && startsAt) {
+        return { label: 'Opens in', target: startsAt };
+    }
+    if (election.status === 'open' && endsAt) {
+        return { label: 'Closes in', target: endsAt };
+    }
+    return null;
+}
+
+/**
+ * Format a duration as a countdown
+ * @param {number} ms - Remaining milliseconds
+ * @returns {string} e.g. "2d 04:13:09" or "04:13:09"
+ */
+export function formatCountdown(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const days = Math.floor(totalSeconds / 86400);
+    const time = [
+        Math.floor((totalSeconds % 86400) / 3600),
+        Math.floor((totalSeconds % 3600) / 60),
+        totalSeconds % 60
+    ].map(n => String(n).padStart(2, '0')).join(':');
+
+    return days > 0 ? `${days}d ${time}` : time;
+}
@@ -0,0 +1,169 @@
+/**
+ * Candidate slates
+ * Import and export an election's candidates as CSV or JSON (name, position, description, image URL)
+ */
+
+import { parseCSV, toCSV } from './csv.js';
+
+export const SLATE_HEADERS = ['Name', 'Position', 'Description', 'Image URL'];
+
+// Accepted header names for each column
+const COLUMN_ALIASES = {
+    name: ['name', 'candidate', 'candidate name'],
+    position: ['position', 'office', 'role'],
+    description: ['description', 'bio', 'about'],
+    image_url: ['image url', 'image_url', 'image', 'photo', 'photo url']
+};
+
+// Absolute http(s) URLs, or paths on the voting site itself
+const IMAGE_URL_PATTERN = /^(https?:\/\/\S+|\/\S*)$/i;
+
+/**
+ * Work out which column holds which field
+ * @param {Array<string>} header - First row of the file
+ * @returns {Object|null} Column index per field, or null when the row is not a header
+ */
+function findColumns(header) {
+    const names = header.map(cell => cell.trim().toLowerCase());
+    const columns = {};
+
+    Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+        const index = names.findIndex(name => aliases.includes(name));
+        if (index !== -1) columns[field] = index;
+    });
+
+    return columns.name !== undefined && columns.position !== undefined ? columns : null;
+}
+
+/**
+ * Read candidate records from CSV rows
+ * Files without a recognised header are read as name, position, description, image URL
+ * @param {string} text - CSV content
+ * @returns {{records: Array<Object>, firstLine: number}}
+ */
+function readCSVRecords(text) {
+    const rows = parseCSV(text);
+    if (rows.length === 0) return { records: [], firstLine: 1 };
+
+    const header = findColumns(rows[0]);
+    const columns = header || { name: 0, position: 1, description: 2, image_url: 3 };
+    const cell = (row, field) => columns[field] !== undefined ? row[columns[field]] : '';
+
+    return {
+        records: rows.slice(header ? 1 : 0).map(row => ({
+            name: cell(row, 'name'),
+            position: cell(row, 'position'),
+            description: cell(row, 'description'),
+            image_url: cell(row, 'image_url')
+        })),
+        firstLine: header ? 2 : 1
+    };
+}
+
+/**
+ * Read candidate records from JSON - an array of candidates, or an object with a candidates array
+ * @param {string} text - JSON content
+ * @returns {Array<Object>} Records
+ */
+function readJSONRecords(text) {
+    const parsed = JSON.parse(text);
+    const list = Array.isArray(parsed) ? parsed : parsed?.candidates;
+
+    if (!Array.isArray(list)) {
+        throw new Error('Expected a list of candidates');
+    }
+
+    return list.map(item => item && typeof item === 'object' ? item : {});
+}
+
+/**
+ * Parse and validate a candidate slate
+ * @param {string} text - CSV or JSON content
+ * @param {Array<Object>} existing - Candidates already in the election, to catch duplicates
+ * @returns {{entries: Array<Object>, errors: Array<string>}} Valid candidates and one message per rejected row
+ */
+export function parseSlate(text, existing = []) {
+    const entries = [];
+    const errors = [];
+    const trimmed = text.replace(/^\uFEFF/, '').trim();
+
+    if (!trimmed) {
+        return { entries, errors: ['The file is empty'] };
+    }
+
+    let records;
+    let firstLine = 1;
+    const isJSON = trimmed.startsWith('[') || trimmed.startsWith('{');
+
+    try {
+        if (isJSON) {
+            records = readJSONRecords(trimmed);
+        } else {
+            ({ records, firstLine } = readCSVRecords(trimmed));
+        }
+    } catch (error) {
+        return { entries, errors: [`Could not read the file: ${error.message}`] };
+    }
+
+    // Name and position together identify a candidate, ignoring case
+    const keyOf = (name, position) => `${position.toLowerCase()}\n${name.toLowerCase()}`;
+    const taken = new Set(existing.map(candidate => keyOf(candidate.name, candidate.position)));
+    const seen = new Set();
+
+    records.forEach((record, index) => {
+        const label = isJSON ? `Candidate ${index + 1}` : `Row ${firstLine + index}`;
+        const name = String(record.name ?? '').trim();
+        const position = String(record.position ?? '').trim();
+        const description = String(record.description ?? '').trim();
+        const imageUrl = String(record.image_url ?? '').trim();
+        const key = keyOf(name, position);
+
+        if (!name) {
+            errors.push(`${label}: missing name`);
+        } else if (!position) {
+            errors.push(`${label}: missing position for "${name}"`);
+        } else if (imageUrl && !IMAGE_URL_PATTERN.test(imageUrl)) {
+            errors.push(`${label}: invalid image URL for "${name}"`);
+        } else if (taken.has(key)) {
+            errors.push(`${label}: "${name}" is already running for ${position}`);
+        } else if (seen.has(key)) {
+            errors.push(`${label}: duplicate "${name}" for ${position}`);
+        } else {
+            seen.add(key);
+            entries.push({
+                name,
+                position,
+                description: description || null,
+                image_url: imageUrl || null
+            });
+        }
+    });
+
+    return { entries, errors };
+}
+
+/**
+ * Serialize candidates as a slate
+ * @param {Array<Object>} candidates - Candidates to export
+ * @param {string} format - csv or json
+ * @returns {string} File content
+ */
+export function serializeSlate(candidates, format) {
+    const records = candidates.map(candidate => ({
+        name: candidate.name,
+        position: candidate.position,
+        description: candidate.description || '',
+        image_url: candidate.image_url || ''
+    }));
+
+    if (format === 'json') {
+        return JSON.stringify({ candidates: records }, null, 2);
+    }
+
+    return toCSV(SLATE_HEADERS, records.map(record => [
+        record.name,
+        record.position,
+        record.description,
+        record.image_url
+    ]));
+}
@@ -5,6 +5,11 @@ const supabaseAnonKey = 'sb_publishable_5Ns0FN8J9eC_NDUjdolE2Q_RWVQV89Y';
 
 export const supabase = createClient(supabaseUrl, supabaseAnonKey);
 
+// Where candidate photos are uploaded: 'supabase' for the Storage bucket,
+// or 'local' for the file store of dev-server.mjs (see admin/README.md, Local Development)
+export const PHOTO_STORE = 'supabase';
+export const PHOTO_BUCKET = 'candidate-photos';
+
 // Test connection
 supabase.from('elections').select('count').limit(1).then(({ data, error }) => {
     if (error) {
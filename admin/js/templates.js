@@ -0,0 +1,87 @@
+/**
+ * Election blueprints
+ * The reusable part of an election - settings, positions and optionally candidates - used both to
+ * duplicate an election and to store it as a template. Voters, ballots and schedules are never included.
+ */
+
+export const BLUEPRINT_VERSION = 1;
+
+// Election columns carried over to the copy; title and schedule are chosen anew
+const ELECTION_FIELDS = ['description', 'time_zone', 'voter_auth_mode', 'live_results'];
+
+const POSITION_FIELDS = [
+    'title', 'voting_method', 'min_selections', 'max_selections', 'seats', 'eligible_groups', 'win_rule', 'win_threshold'
+];
+
+const CANDIDATE_FIELDS = ['name', 'position', 'description', 'image_url', 'thumbnail_url'];
+
+/**
+ * Copy the listed fields of a row, skipping ones it does not have
+ * @param {Object} row - Source row
+ * @param {Array<string>} fields - Fields to keep
+ * @returns {Object}
+ */
+function pick(row, fields) {
+    const picked = {};
+    fields.forEach(field => {
+        if (row[field] !== undefined) picked[field] = row[field];
+    });
+    return picked;
+}
+
+/**
+ * Capture the reusable parts of an election
+ * @param {Object} election - Election row
+ * @param {Array<Object>} positions - Its position rows
+ * @param {Array<Object>} candidates - Its candidate rows
+ * @param {boolean} includeCandidates - Whether candidates are part of the copy
+ * @returns {Object} Blueprint
+ */
+export function buildBlueprint(election, positions, candidates, includeCandidates) {
+    return {
+        version: BLUEPRINT_VERSION,
+        election: pick(election, ELECTION_FIELDS),
+        positions: positions.map(position => pick(position, POSITION_FIELDS)),
+        candidates: includeCandidates ? candidates.map(candidate => pick(candidate, CANDIDATE_FIELDS)) : []
+    };
+}
+
+/**
+ * Capture a runoff: only the positions that need one, each a single choice between its qualifying candidates
+ * @param {Object} election - The original election row
+ * @param {Object} positions - Its position settings keyed by title
+ * @param {Array<Object>} candidates - Its candidate rows
+ * @param {Object} runoffs - Qualifying candidate IDs keyed by position title
+ * @returns {Object} Blueprint
+ */
+export function buildRunoffBlueprint(election, positions, candidates, runoffs) {
+    return {
+        version: BLUEPRINT_VERSION,
+        election: pick(election, ELECTION_FIELDS),
+        positions: Object.keys(runoffs).map(title => ({
+            title,
+            voting_method: 'plurality',
+            min_selections: Math.min(positions[title]?.min_selections ?? 0, 1),
+            max_selections: 1,
+            seats: 1,
+            eligible_groups: positions[title]?.eligible_groups || null
+        })),
+        candidates: candidates
+            .filter(candidate => runoffs[candidate.position]?.includes(candidate.id))
+            .map(candidate => pick(candidate, CANDIDATE_FIELDS))
+    };
+}
+
+/**
+ * Count what a blueprint will create
+ * @param {Object} blueprint - From buildBlueprint
+ * @returns {{positions: number, candidates: number}}
+ */
+export function describeBlueprint(blueprint) {
+    const titles = new Set([
+        ...(blueprint.positions || []).map(position => position.title),
+        ...(blueprint.candidates || []).map(candidate => candidate.position)
+    ]);
+
+    return { positions: titles.size, candidates: (blueprint.candidates || []).length };
+}
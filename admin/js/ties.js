@@ -0,0 +1,85 @@
+/**
+ * Tie-break procedures
+ * How a tie found by the tally is settled: drawing lots from a recorded seed, a runoff, or a
+ * manual decision with a reason. Lots are drawn by the resolve_tie database function; the draw
+ * can be repeated here by anyone who has the seed.
+ */
+
+export const TIE_BREAK_METHODS = {
+    lots: 'Drawing lots',
+    runoff: 'Runoff',
+    manual: 'Manual decision'
+};
+
+async function sha256Hex(text) {
+    const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(hashBuffer))
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Repeat a draw: every candidate of the position is ordered by the SHA-256 hash of
+ * "<seed>:<candidate ID>", as resolve_tie does, so the order depends on the seed alone
+ * @param {Array<string>} candidateIds - Every candidate standing for the position
+ * @param {string} seed - The seed recorded with the resolution
+ * @returns {Promise<Array<string>>} Candidates in draw order
+ */
+export async function drawLots(candidateIds, seed) {
+    const keyed = await Promise.all(candidateIds.map(async id => [await sha256Hex(`${seed}:${id}`), id]));
+    return keyed
+        .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0))
+        .map(([, id]) => id);
+}
+
+
+/**
+ * Check a tie resolution before recording it
+ * @param {Object} tie - From tallyResults: candidates and seats
+ * @param {Object} resolution - method, winners and reason
+ * @returns {Array<string>} Problems found; empty when the resolution can be recorded
+ */
+export function validateTieResolution(tie, resolution) {
+    const errors = [];
+
+    if (!TIE_BREAK_METHODS[resolution.method]) {
+        return ['Choose how the tie is broken'];
+    }
+
+    // The count goes on after a tie for last place, and only a draw decides who leaves it
+    if (tie.elimination && resolution.method !== 'lots') {
+        return ['A tie for last place can only be broken by drawing lots'];
+    }
+
+    if (resolution.method === 'manual') {
+        if (!resolution.reason?.trim()) errors.push('Give the reason for the decision');
+        if (resolution.winners.length !== tie.seats) {
+            errors.push(`Choose ${tie.seats} of the tied candidates`);
+        }
+    }
+
+    if (resolution.winners.some(id => !tie.candidates.includes(id))) {
+        errors.push('Only tied candidates can be chosen');
+    }
+
+    return errors;
+}
+
+/**
+ * Describe how a tie was settled
+ * @param {Object} resolution - Recorded resolution
+ * @param {Object} names - Candidate names keyed by ID
+ * @returns {string}
+ */
+export function describeTieResolution(resolution, names) {
+    const winners = resolution.winners.map(id => names[id] || id).join(', ');
+
+    switch (resolution.method) {
+        case 'lots': return winners
+            ? `${winners} drawn by lot (seed ${resolution.seed})`
+            : `Decided by lot (seed ${resolution.seed})`;
+        case 'runoff': return 'To be decided by a runoff';
+        case 'manual': return `${winners} chosen: ${resolution.reason}`;
+        default: return resolution.method;
+    }
+}
@@ -0,0 +1,57 @@
+/**
+ * One-time voter access tokens
+ * Tokens are generated in the browser; only their SHA-256 hashes are stored
+ */
+
+// No 0/O, 1/I/L - tokens are typed in by hand
+const TOKEN_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const TOKEN_GROUPS = 3;
+const TOKEN_GROUP_LENGTH = 4;
+
+/**
+ * Generate a random token such as "K7QM-2XWD-HP9R"
+ * @returns {string} Formatted token
+ */
+export function generateToken() {
+    const length = TOKEN_GROUPS * TOKEN_GROUP_LENGTH;
+    const chars = [];
+
+    // Rejection sampling keeps every character equally likely
+    const limit = 256 - (256 % TOKEN_ALPHABET.length);
+    while (chars.length < length) {
+        const bytes = crypto.getRandomValues(new Uint8Array(length));
+        for (const byte of bytes) {
+            if (byte < limit && chars.length < length) {
+                chars.push(TOKEN_ALPHABET[byte % TOKEN_ALPHABET.length]);
+            }
+        }
+    }
+
+    const groups = [];
+    for (let i = 0; i < length; i += TOKEN_GROUP_LENGTH) {
+        groups.push(chars.slice(i, i + TOKEN_GROUP_LENGTH).join(''));
+    }
+    return groups.join('-');
+}
+
+/**
+ * Normalize a token the same way submit_ballot does before hashing
+ * @param {string} token - Token as typed
+ * @returns {string} Upper-case token without separators
+ */
+export function normalizeToken(token) {
+    return token.toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Hash a token for storage
+ * @param {string} token - Token as generated or typed
+ * @returns {Promise<string>} Hex SHA-256 of the normalized token
+ */
+export async function hashToken(token) {
+    const data = new TextEncoder().encode(normalizeToken(token));
+    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(hashBuffer))
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+}
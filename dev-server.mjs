@@ -0,0 +1,164 @@
+/**
+ * Local development server
+ * Serves the admin/ and site/ folders as static files and keeps uploaded candidate photos in ./uploads,
+ * standing in for the Supabase Storage bucket. Nothing else in the repository is served. Set PHOTO_STORE = 'local' in admin/js/supabase.js to use it.
+ *
+ * Usage: node dev-server.mjs [port]
+ */
+
+import { createServer } from 'node:http';
+import { createReadStream, createWriteStream } from 'node:fs';
+import { mkdir, rename, stat, unlink } from 'node:fs/promises';
+import { dirname, extname, join, normalize, resolve, sep } from 'node:path';
+import { Transform } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = dirname(fileURLToPath(import.meta.url));
+const UPLOADS = join(ROOT, 'uploads');
+const PORT = Number(process.argv[2]) || 3000;
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+// The only folders of the repository that are served
+const PUBLIC_DIRS = ['admin', 'site'];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif',
+    '.ico': 'image/x-icon'
+};
+
+// Uploads are stored only under an image extension, and must be sent as that type
+const UPLOAD_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif'
+};
+
+// Map a URL path onto a file under base, refusing anything that escapes it
+function resolvePath(base, urlPath) {
+    const filePath = resolve(base, '.' + normalize(decodeURIComponent(urlPath)));
+    return filePath === base || filePath.startsWith(base + sep) ? filePath : null;
+}
+
+async function handleUpload(req, res, filePath) {
+    const type = UPLOAD_TYPES[extname(filePath).toLowerCase()];
+    if (!type || req.headers['content-type']?.split(';')[0].trim().toLowerCase() !== type) {
+        res.writeHead(415).end('Only JPEG, PNG, WebP and GIF images can be uploaded');
+        return;
+    }
+    if (Number(req.headers['content-length']) > MAX_UPLOAD_BYTES) {
+        res.writeHead(413).end('Upload too large');
+        return;
+    }
+
+    // Content-Length can be left out or wrong, so the bytes are counted as they arrive too
+    let received = 0;
+    const limit = new Transform({
+        transform(chunk, encoding, callback) {
+            received += chunk.length;
+            if (received > MAX_UPLOAD_BYTES) {
+                callback(Object.assign(new Error('Upload too large'), { code: 'UPLOAD_TOO_LARGE' }));
+            } else {
+                callback(null, chunk);
+            }
+        }
+    });
+
+    // A client that goes away mid-upload never ends the body
+    req.on('close', () => {
+        if (!req.readableEnded) limit.destroy(new Error('Upload aborted'));
+    });
+    req.pipe(limit);
+
+    // Written beside the target first, so a rejected upload never replaces an existing photo
+    const partPath = `${filePath}.part`;
+    await mkdir(dirname(filePath), { recursive: true });
+
+    try {
+        await pipeline(limit, createWriteStream(partPath));
+    } catch (error) {
+        req.unpipe(limit);
+        await unlink(partPath).catch(() => {});
+        if (error.code !== 'UPLOAD_TOO_LARGE') throw error;
+
+        // Discard the rest of the body and close the connection once the answer is sent
+        req.resume();
+        res.writeHead(413, { Connection: 'close' }).end('Upload too large');
+        return;
+    }
+
+    await rename(partPath, filePath);
+    res.writeHead(201).end();
+}
+
+async function serveFile(res, filePath) {
+    let info;
+    try {
+        info = await stat(filePath);
+    } catch {
+        res.writeHead(404).end('Not found');
+        return;
+    }
+
+    if (info.isDirectory()) {
+        await serveFile(res, join(filePath, 'index.html'));
+        return;
+    }
+
+    res.writeHead(200, {
+        'Content-Type': CONTENT_TYPES[extname(filePath).toLowerCase()] || 'application/octet-stream',
+        'Content-Length': info.size
+    });
+    createReadStream(filePath).pipe(res);
+}
+
+const server = createServer(async (req, res) => {
+    try {
+        const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+        if (pathname === '/') {
+            res.writeHead(302, { Location: '/site/' }).end();
+            return;
+        }
+
+        const [, folder] = pathname.split('/');
+        const isUpload = folder === 'uploads';
+        const filePath = isUpload
+            ? resolvePath(UPLOADS, pathname.slice('/uploads'.length))
+            : PUBLIC_DIRS.includes(folder) && resolvePath(join(ROOT, folder), pathname.slice(folder.length + 1) || '/');
+
+        if (filePath === false) {
+            res.writeHead(404).end('Not found');
+        } else if (!filePath) {
+            res.writeHead(400).end('Bad path');
+        } else if (req.method === 'PUT' && isUpload) {
+            await handleUpload(req, res, filePath);
+        } else if (req.method === 'DELETE' && isUpload) {
+            await unlink(filePath).catch(() => {});
+            res.writeHead(204).end();
+        } else if (req.method === 'GET' || req.method === 'HEAD') {
+            await serveFile(res, filePath);
+        } else {
+            res.writeHead(405).end('Method not allowed');
+        }
+    } catch (error) {
+        console.error(error);
+        if (!res.headersSent) res.writeHead(500);
+        res.end('Server error');
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Serving ${PUBLIC_DIRS.join('/ and ')}/ at http://localhost:${PORT}/ (photos in ${UPLOADS})`);
+});
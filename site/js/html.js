@@ -0,0 +1,18 @@
+/**
+ * HTML escaping
+ * Shared by the dashboard and the voting site, like tally.js
+ */
+
+/**
+ * Escape text for use in HTML, inside element content or a quoted attribute
+ * @param {*} value - Anything; null and undefined become an empty string
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
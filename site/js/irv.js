@@ -0,0 +1,114 @@
+/**
+ * Instant-runoff (ranked-choice) counting
+ * Pure functions, no Supabase access - ballots are passed in already loaded
+ */
+
+/**
+ * Narrow a tie for last place using earlier rounds: whoever had fewer votes in the most recent
+ * round where the tied candidates differ is eliminated
+ * @param {Array<string>} tied - Candidates level on the fewest votes
+ * @param {Array<Object>} earlierRounds - Rounds before the current one
+ * @returns {Array<string>} The candidates still level
+ */
+function breakByEarlierRounds(tied, earlierRounds) {
+    let remaining = tied;
+
+    for (let i = earlierRounds.length - 1; i >= 0 && remaining.length > 1; i--) {
+        const tallies = earlierRounds[i].tallies;
+        const lowest = Math.min(...remaining.map(id => tallies[id]));
+        remaining = remaining.filter(id => tallies[id] === lowest);
+    }
+
+    return remaining;
+}
+
+/**
+ * Run an instant-runoff count for a single position
+ * One candidate is eliminated per round. A tie for last place is broken by the earlier rounds,
+ * then by the lot order if one was drawn; otherwise the count stops and reports the tie.
+ * Candidates tied for last whose votes together are fewer than anyone else's are eliminated
+ * together, since the order they go in cannot change the outcome.
+ * @param {Array<string>} candidateIds - IDs of every candidate standing for the position
+ * @param {Array<Array<string>>} rankings - One ordered list of candidate IDs per ballot (first choice first)
+ * @param {Array<string>} [lotOrder] - Candidates in the order a recorded lot drew them; the one drawn last goes first
+ * @returns {{rounds: Array<Object>, winner: string|null, tied: Array<string>, elimination: boolean}}
+ *     Round-by-round tallies and outcome. tied lists the candidates of a tie the count could not break,
+ *     and elimination says whether it was a tie for last place rather than for the win.
+ */
+export function runInstantRunoff(candidateIds, rankings, lotOrder = []) {
+    const continuing = new Set(candidateIds);
+    const ballots = rankings
+        .map(ranking => (ranking || []).filter(id => continuing.has(id)))
+        .filter(ranking => ranking.length > 0);
+
+    const rounds = [];
+    const drawnLast = (a, b) => lotOrder.indexOf(b) - lotOrder.indexOf(a);
+    const hasLot = ids => ids.every(id => lotOrder.includes(id));
+
+    while (continuing.size > 0) {
+        const tallies = {};
+        continuing.forEach(id => { tallies[id] = 0; });
+
+        let exhausted = 0;
+        ballots.forEach(ranking => {
+            const choice = ranking.find(id => continuing.has(id));
+            if (choice) {
+                tallies[choice]++;
+            } else {
+                exhausted++;
+            }
+        });
+
+        const activeBallots = ballots.length - exhausted;
+        const round = { number: rounds.length + 1, tallies, exhausted, eliminated: [], tieBreak: null };
+        rounds.push(round);
+
+        if (activeBallots === 0) {
+            return { rounds, winner: null, tied: [], elimination: false };
+        }
+
+        // Majority of ballots still in play wins outright
+        const leader = Object.entries(tallies).sort((a, b) => b[1] - a[1])[0];
+        if (continuing.size === 1 || leader[1] * 2 > activeBallots) {
+            return { rounds, winner: leader[0], tied: [], elimination: false };
+        }
+
+        const lowest = Math.min(...Object.values(tallies));
+        const lastPlace = Object.keys(tallies).filter(id => tallies[id] === lowest);
+
+        // The last two level: a tie for the win, which only a lot settles here
+        if (lastPlace.length === 2 && continuing.size === 2) {
+            if (!hasLot(lastPlace)) {
+                return { rounds, winner: null, tied: lastPlace, elimination: false };
+            }
+            round.tieBreak = 'lot';
+            return { rounds, winner: [...lastPlace].sort(drawnLast)[1], tied: [], elimination: false };
+        }
+
+        const nextLowest = Math.min(...Object.values(tallies).filter(votes => votes > lowest));
+        if (lastPlace.length < continuing.size && lowest * lastPlace.length < nextLowest) {
+            round.eliminated = lastPlace;
+        } else {
+            let eliminated = lastPlace;
+
+            if (eliminated.length > 1) {
+                eliminated = breakByEarlierRounds(eliminated, rounds.slice(0, -1));
+                round.tieBreak = eliminated.length < lastPlace.length ? 'earlier_rounds' : null;
+            }
+
+            if (eliminated.length > 1) {
+                if (!hasLot(eliminated)) {
+                    return { rounds, winner: null, tied: eliminated, elimination: true };
+                }
+                eliminated = [[...eliminated].sort(drawnLast)[0]];
+                round.tieBreak = 'lot';
+            }
+
+            round.eliminated = eliminated;
+        }
+
+        round.eliminated.forEach(id => continuing.delete(id));
+    }
+
+    return { rounds, winner: null, tied: [], elimination: false };
+}
@@ -0,0 +1,228 @@
+/**
+ * Results tallying
+ * Per-position totals, percentages, ranking and winners, worked out from raw votes or from
+ * election_results rows. Pure functions, no Supabase access - shared by the dashboard and the voting site
+ */
+
+import { runInstantRunoff } from './irv.js';
+
+// Candidates taken into a runoff when nobody reaches the required share
+const RUNOFF_CANDIDATES = 2;
+
+/**
+ * Share of a whole as a percentage, to two decimal places
+ * @param {number} part
+ * @param {number} whole
+ * @returns {number} 0 when the whole is empty
+ */
+export function percentage(part, whole) {
+    return whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0;
+}
+
+/**
+ * Count raw vote rows per candidate
+ * Every candidate standing gets a row, so candidates without votes are still listed
+ * @param {Array<Object>} votes - Vote rows with position and candidate_id
+ * @param {Array<Object>} candidates - Candidate rows with id, name and position
+ * @returns {Array<Object>} One row per candidate: position, candidate_id, candidate_name, total_votes
+ */
+export function tallyVotes(votes, candidates) {
+    const counts = {};
+    votes.forEach(vote => {
+        counts[vote.candidate_id] = (counts[vote.candidate_id] || 0) + 1;
+    });
+
+    return candidates.map(candidate => ({
+        position: candidate.position,
+        candidate_id: candidate.id,
+        candidate_name: candidate.name,
+        total_votes: counts[candidate.id] || 0
+    }));
+}
+
+/**
+ * Read election_results rows, which name their count vote_count
+ * @param {Array<Object>} rows - Rows from the election_results view
+ * @returns {Array<Object>} One row per candidate: position, candidate_id, candidate_name, total_votes
+ */
+export function fromViewRows(rows) {
+    return rows.map(row => ({
+        position: row.position,
+        candidate_id: row.candidate_id,
+        candidate_name: row.candidate_name,
+        total_votes: Number(row.vote_count ?? row.total_votes ?? 0)
+    }));
+}
+
+/**
+ * Regroup a results snapshot - such as a certified one - by position, in the shape tallyResults returns
+ * @param {Object} snapshot - From AdminAPI.getResultsSnapshot
+ * @returns {Array<Object>} Positions in snapshot order, each with its results, count, tie and runoff
+ */
+export function groupSnapshot(snapshot) {
+    const grouped = {};
+    snapshot.results.forEach(result => {
+        (grouped[result.position] = grouped[result.position] || []).push(result);
+    });
+
+    return Object.entries(grouped).map(([position, results]) => ({
+        position,
+        results,
+        tie: snapshot.ties?.[position] || null,
+        runoff: snapshot.runoffs?.[position] || null,
+        count: snapshot.ranked?.[position] || null
+    }));
+}
+
+/**
+ * Find a tie for the last seats of a plurality position
+ * @param {Array<Object>} sorted - Candidate rows, most votes first
+ * @param {number} seats
+ * @returns {{candidates: Array<string>, seats: number}|null} The tied candidates and the seats left between them
+ */
+function findPluralityTie(sorted, seats) {
+    const boundary = sorted[seats - 1]?.total_votes;
+    if (!boundary || sorted[seats]?.total_votes !== boundary) return null;
+
+    return {
+        candidates: sorted.filter(row => row.total_votes === boundary).map(row => row.candidate_id),
+        seats: seats - sorted.filter(row => row.total_votes > boundary).length
+    };
+}
+
+/**
+ * Describe what a single-seat plurality position needs to be won outright
+ * @param {Object} settings - Position settings
+ * @returns {string|null} Null when the most votes is enough
+ */
+export function describeWinRule(settings) {
+    if (settings.win_rule === 'majority') return 'More than 50% of the votes';
+    if (settings.win_rule === 'threshold') return `At least ${settings.win_threshold}% of the votes`;
+    return null;
+}
+
+/**
+ * Check a leading candidate against the position's win rule
+ * @param {number} votes - The leader's votes
+ * @param {number} totalVotes - Votes cast for the position
+ * @param {Object} settings - Position settings
+ * @returns {boolean}
+ */
+function meetsWinRule(votes, totalVotes, settings) {
+    if (settings.win_rule === 'majority') return votes * 2 > totalVotes;
+    if (settings.win_rule === 'threshold') return votes * 100 >= settings.win_threshold * totalVotes;
+    return true;
+}
+
+/**
+ * Candidates who go through to a runoff: the top two, and anyone level with the second
+ * @param {Array<Object>} sorted - Candidate rows, most votes first
+ * @returns {Array<string>}
+ */
+function pickRunoffCandidates(sorted) {
+    const cutoff = sorted[RUNOFF_CANDIDATES - 1]?.total_votes ?? 0;
+    return sorted
+        .filter((row, index) => row.total_votes > 0 && (index < RUNOFF_CANDIDATES || row.total_votes === cutoff))
+        .map(row => row.candidate_id);
+}
+
+function sameCandidates(a, b) {
+    return a.length === b.length && [...a].sort().join() === [...b].sort().join();
+}
+
+/**
+ * Tally every position: totals, percentages of the position's votes, ranking, winners, ties and runoffs
+ * Plurality positions elect the top candidates with votes, one per seat; ranked-choice positions
+ * are counted by instant runoff when their rankings are given, and otherwise show first preferences only.
+ * Tied candidates are not elected until a resolution for that exact tie picks them. A single-seat
+ * position with a majority or threshold rule elects nobody when the leader falls short, and needs a runoff.
+ * A tie resolved by holding a runoff needs one too. A ranked-choice count stopped by a tie is run
+ * again with the lot order of a resolution that drew lots for it.
+ * @param {Array<Object>} rows - From tallyVotes or fromViewRows
+ * @param {Object} [options]
+ * @param {Object} [options.positions] - Position settings keyed by title
+ * @param {Object} [options.rankings] - Full rankings keyed by position title, one per ballot
+ * @param {Object} [options.resolutions] - Recorded tie resolutions keyed by position title
+ * @returns {Array<Object>} Positions sorted by title, each with its candidates sorted by votes
+ */
+export function tallyResults(rows, { positions = {}, rankings = {}, resolutions = {} } = {}) {
+    const grouped = rows.reduce((acc, row) => {
+        (acc[row.position] = acc[row.position] || []).push(row);
+        return acc;
+    }, {});
+
+    return Object.keys(grouped)
+        .sort((a, b) => a.localeCompare(b))
+        .map(title => {
+            const settings = positions[title] || {};
+            const totalVotes = grouped[title].reduce((sum, row) => sum + row.total_votes, 0);
+            const sorted = [...grouped[title]].sort((a, b) =>
+                b.total_votes - a.total_votes || String(a.candidate_name).localeCompare(String(b.candidate_name)));
+
+            const candidateIds = sorted.map(row => row.candidate_id);
+            let count = settings.voting_method === 'ranked' && rankings[title]
+                ? runInstantRunoff(candidateIds, rankings[title])
+                : null;
+            const seats = count ? 1 : settings.seats || 1;
+
+            const winRule = !count && seats === 1 ? describeWinRule(settings) : null;
+            const shortOfRule = Boolean(winRule) && sorted[0]?.total_votes > 0 &&
+                !meetsWinRule(sorted[0].total_votes, totalVotes, settings);
+
+            const tie = shortOfRule
+                ? null
+                : count
+                    ? (count.tied.length > 0 ? { candidates: count.tied, seats: 1, elimination: count.elimination } : null)
+                    : findPluralityTie(sorted, seats);
+            const resolution = tie && resolutions[title] && sameCandidates(resolutions[title].tied_candidates, tie.candidates)
+                ? resolutions[title]
+                : null;
+
+            // A ranked count stopped by a tie is counted again with the lot drawn for it
+            const countedByLot = Boolean(count && resolution?.method === 'lots');
+            if (countedByLot) {
+                count = runInstantRunoff(candidateIds, rankings[title], resolution.lot_order);
+            }
+
+            let runoff = null;
+            if (shortOfRule) {
+                runoff = { reason: 'win_rule', candidates: pickRunoffCandidates(sorted) };
+            } else if (resolution?.method === 'runoff') {
+                runoff = { reason: 'tie', candidates: tie.candidates };
+            }
+
+            const isElected = (row, index) => {
+                if (shortOfRule) return false;
+                if (tie?.candidates.includes(row.candidate_id) && !countedByLot) {
+                    return Boolean(resolution?.winners.includes(row.candidate_id));
+                }
+                return count ? count.winner === row.candidate_id : index < seats && row.total_votes > 0;
+            };
+
+            let rank = 0;
+            const results = sorted.map((row, index) => {
+                // Candidates level on votes share a rank
+                if (index === 0 || row.total_votes !== sorted[index - 1].total_votes) rank = index + 1;
+
+                return {
+                    ...row,
+                    vote_percentage: percentage(row.total_votes, totalVotes),
+                    rank,
+                    elected: isElected(row, index)
+                };
+            });
+
+            return {
+                position: title,
+                voting_method: count ? 'ranked' : settings.voting_method || 'plurality',
+                seats,
+                total_votes: totalVotes,
+                results,
+                winners: results.filter(result => result.elected).map(result => result.candidate_id),
+                win_rule: winRule,
+                tie: tie ? { ...tie, resolution } : null,
+                runoff,
+                count
+            };
+        });
+}
@@ -1,10 +1,22 @@
 import { supabase } from './supabase.js';
+// Shared with the dashboard, which imports it from the site
+import { fromViewRows, tallyResults, groupSnapshot } from './tally.js';
+import { escapeHtml } from './html.js';
+
+const BULLETIN_PAGE_SIZE = 100;
+// Ballots arriving within this many milliseconds are counted in one refresh of the public results page
+const LIVE_REFRESH_DELAY = 1000;
 
 // State
 let currentElection = null;
 let candidates = [];
+let positionSettings = {};
 let voterFingerprint = null;
-let voterId = null;
+let voterToken = null;
+let voterRollRef = null;
+let voterGroup = null;
+let bulletinOffset = 0;
+let liveRefreshTimer = null;
 let selectedVotes = {};
 
 // Initialize
@@ -37,46 +49,287 @@ async function generateFingerprint() {
     return hashHex;
 }
 
-// Load current election
+// Load the election from the URL (?election=<id>), or let the voter pick among open ones
 async function loadElection() {
     try {
-        // Get open election
-        const { data: election, error } = await supabase
-            .from('elections')
-            .select('*')
-            .eq('is_open', true)
-            .single();
+        const params = new URLSearchParams(window.location.search);
+        const electionId = params.get('election');
+        const view = params.get('view');
+
+        if (electionId) {
+            const { data: election, error } = await supabase
+                .from('elections')
+                .select('*')
+                .eq('id', electionId)
+                .single();
+
+            if (error) {
+                if (error.code === 'PGRST116') {
+                    showClosedState();
+                    return;
+                }
+                throw error;
+            }
+
+            document.querySelectorAll('.all-elections-link').forEach(link => link.classList.remove('hidden'));
+
+            // Public bulletin board link (?election=<id>&view=bulletin)
+            if (view === 'bulletin') {
+                currentElection = election;
+                updateElectionStatus(election.status === 'open');
+                if (areResultsPublic(election)) {
+                    document.getElementById('loadingState').classList.add('hidden');
+                    await showBulletinBoard();
+                } else {
+                    showClosedState();
+                }
+                return;
+            }
 
-        if (error) {
-            if (error.code === 'PGRST116') {
-                showClosedState();
+            // Public results page link (?election=<id>&view=live)
+            if (view === 'live') {
+                currentElection = election;
+                document.getElementById('loadingState').classList.add('hidden');
+                await showLiveResults();
                 return;
             }
-            throw error;
+
+            await openElection(election);
+            return;
         }
 
-        currentElection = election;
-        
-        // Update header status
-        updateElectionStatus(true);
-        
-        // Check if voter has already voted
-        const hasVoted = await checkIfVoted();
+        const { data: openElections, error } = await supabase
+            .from('elections')
+            .select('*')
+            .eq('status', 'open')
+            .order('title', { ascending: true });
+
+        if (error) throw error;
+
+        if (!openElections || openElections.length === 0) {
+            showClosedState();
+        } else if (openElections.length === 1) {
+            await openElection(openElections[0]);
+        } else {
+            await showElectionPicker(openElections);
+        }
         
-        if (hasVoted) {
+    } catch (error) {
+        console.error('Error loading election:', error);
+        showClosedState();
+    }
+}
+
+// Show the ballot (or voted/closed state) for one election
+async function openElection(election) {
+    currentElection = election;
+    const isOpen = election.status === 'open';
+    
+    // Update header status
+    updateElectionStatus(isOpen);
+
+    // Token elections identify the voter by their code, not the device
+    if (isTokenElection() || isRollElection()) {
+        if (!isOpen) {
+            showClosedState();
+        } else if (isRollElection()) {
+            showRollForm();
+        } else {
+            showTokenForm();
+        }
+        return;
+    }
+    
+    // Check if voter has already voted
+    const hasVoted = await checkIfVoted();
+    
+    if (hasVoted) {
+        showVotedState();
+    } else if (!isOpen) {
+        showClosedState();
+    } else {
+        // Load candidates and show voting form
+        await loadCandidates();
+        showVotingForm();
+    }
+}
+
+// List every open election, marking the ones this device has already voted in
+async function showElectionPicker(elections) {
+    const { data: votedIn } = await supabase
+        .from('voters')
+        .select('election_id')
+        .eq('fingerprint_hash', voterFingerprint)
+        .in('election_id', elections.map(election => election.id));
+
+    const votedIds = new Set((votedIn || []).map(voter => voter.election_id));
+
+    document.getElementById('electionList').innerHTML = elections.map(election => `
+        <a class="election-option" href="?election=${encodeURIComponent(election.id)}">
+            <div class="election-option-info">
+                <h3>${escapeHtml(election.title)}</h3>
+                ${election.description ? `<p>${escapeHtml(election.description)}</p>` : ''}
+            </div>
+            <span class="election-option-status ${votedIds.has(election.id) ? 'voted' : ''}">
+                ${votedIds.has(election.id) ? '✅ Voted' : 'Vote →'}
+            </span>
+        </a>
+    `).join('');
+
+    updateElectionStatus(true);
+    document.getElementById('loadingState').classList.add('hidden');
+    document.getElementById('pickerState').classList.remove('hidden');
+}
+
+function isTokenElection() {
+    return currentElection?.voter_auth_mode === 'token';
+}
+
+function showTokenForm() {
+    document.getElementById('tokenElectionTitle').textContent = currentElection.title;
+    document.getElementById('loadingState').classList.add('hidden');
+    document.getElementById('tokenState').classList.remove('hidden');
+}
+
+// Check the code before showing the ballot - it is only spent when the ballot is submitted
+async function handleTokenSubmit(e) {
+    e.preventDefault();
+
+    const token = document.getElementById('tokenInput').value.trim();
+    const tokenError = document.getElementById('tokenError');
+    const submitBtn = document.getElementById('tokenSubmitBtn');
+    if (!token) return;
+
+    submitBtn.disabled = true;
+    tokenError.classList.add('hidden');
+
+    try {
+        const { data: tokenCheck, error } = await supabase.rpc('check_voter_token', {
+            p_election_id: currentElection.id,
+            p_token: token
+        });
+
+        if (error) throw error;
+
+        const tokenStatus = tokenCheck?.status;
+        if (tokenStatus === 'used') {
+            document.getElementById('tokenState').classList.add('hidden');
             showVotedState();
+        } else if (tokenStatus === 'valid') {
+            voterToken = token;
+            voterGroup = tokenCheck.voter_group || null;
+            document.getElementById('tokenState').classList.add('hidden');
+            await loadCandidates();
+            showVotingForm();
         } else {
-            // Load candidates and show voting form
+            tokenError.textContent = 'That code is not valid for this election. Please check it and try again.';
+            tokenError.classList.remove('hidden');
+        }
+    } catch (error) {
+        console.error('Error checking voting code:', error);
+        tokenError.textContent = 'Could not check your code. Please try again.';
+        tokenError.classList.remove('hidden');
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+document.getElementById('tokenForm').addEventListener('submit', handleTokenSubmit);
+
+function isRollElection() {
+    return currentElection?.voter_auth_mode === 'roll';
+}
+
+function showRollForm() {
+    document.getElementById('rollElectionTitle').textContent = currentElection.title;
+    document.getElementById('loadingState').classList.add('hidden');
+    document.getElementById('rollState').classList.remove('hidden');
+}
+
+function showRollError(message) {
+    const rollError = document.getElementById('rollError');
+    rollError.textContent = message;
+    rollError.classList.toggle('hidden', !message);
+}
+
+// Step 1: ask for a code to be emailed to the address on the roll
+async function handleRollIdSubmit(e) {
+    e.preventDefault();
+
+    const voterRef = document.getElementById('rollIdInput').value.trim();
+    const submitBtn = document.getElementById('rollIdSubmitBtn');
+    if (!voterRef) return;
+
+    submitBtn.disabled = true;
+    showRollError('');
+
+    try {
+        const { error } = await supabase.functions.invoke('send-voter-code', {
+            body: { election_id: currentElection.id, voter_ref: voterRef }
+        });
+
+        if (error) throw error;
+
+        voterRollRef = voterRef;
+        document.getElementById('rollInstructions').textContent = 
+            'If that ID is on the voter roll, a 6-digit code is on its way to the email address registered for it. Enter it below.';
+        document.getElementById('rollIdForm').classList.add('hidden');
+        document.getElementById('rollCodeForm').classList.remove('hidden');
+        document.getElementById('rollCodeInput').focus();
+    } catch (error) {
+        console.error('Error requesting voting code:', error);
+        showRollError('Could not send a code. Please try again.');
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+// Step 2: check the emailed code - like tokens, it is only spent when the ballot is submitted
+async function handleRollCodeSubmit(e) {
+    e.preventDefault();
+
+    const code = document.getElementById('rollCodeInput').value.trim();
+    const submitBtn = document.getElementById('rollCodeSubmitBtn');
+    if (!code) return;
+
+    submitBtn.disabled = true;
+    showRollError('');
+
+    try {
+        const { data: codeCheck, error } = await supabase.rpc('check_roll_code', {
+            p_election_id: currentElection.id,
+            p_voter_ref: voterRollRef,
+            p_code: code
+        });
+
+        if (error) throw error;
+
+        const codeStatus = codeCheck?.status;
+        if (codeStatus === 'used') {
+            document.getElementById('rollState').classList.add('hidden');
+            showVotedState();
+        } else if (codeStatus === 'valid') {
+            voterToken = code;
+            voterGroup = codeCheck.voter_group || null;
+            document.getElementById('rollState').classList.add('hidden');
             await loadCandidates();
             showVotingForm();
+        } else if (codeStatus === 'expired') {
+            showRollError('That code has expired or had too many wrong attempts. Reload the page to request a new one.');
+        } else {
+            showRollError('That code is not correct. Please check the email and try again.');
         }
-        
     } catch (error) {
-        console.error('Error loading election:', error);
-        showClosedState();
+        console.error('Error checking voting code:', error);
+        showRollError('Could not check your code. Please try again.');
+    } finally {
+        submitBtn.disabled = false;
     }
 }
 
+document.getElementById('rollIdForm').addEventListener('submit', handleRollIdSubmit);
+document.getElementById('rollCodeForm').addEventListener('submit', handleRollCodeSubmit);
+
 // Check if voter has already voted
 async function checkIfVoted() {
     try {
@@ -88,7 +341,6 @@ async function checkIfVoted() {
             .single();
 
         if (data) {
-            voterId = data.id;
             return true;
         }
         
@@ -111,6 +363,7 @@ async function loadCandidates() {
         if (error) throw error;
 
         candidates = data || [];
+        await loadPositions();
         renderVotingForm();
         
     } catch (error) {
@@ -119,18 +372,68 @@ async function loadCandidates() {
     }
 }
 
+// Load position settings (voting method etc.), keyed by position title
+async function loadPositions() {
+    const { data, error } = await supabase
+        .from('positions')
+        .select('*')
+        .eq('election_id', currentElection.id);
+
+    if (error) throw error;
+
+    positionSettings = (data || []).reduce((acc, position) => {
+        acc[position.title] = position;
+        return acc;
+    }, {});
+}
+
+// Positions limited to voter groups are only shown to those groups - fingerprint voters have none
+function isEligibleForPosition(position) {
+    const groups = positionSettings[position]?.eligible_groups || [];
+    return groups.length === 0 || groups.includes(voterGroup);
+}
+
+function isRankedPosition(position) {
+    return positionSettings[position]?.voting_method === 'ranked';
+}
+
+// Selection limits for a position - positions without settings are pick-one and optional
+function getSelectionLimits(position) {
+    const settings = positionSettings[position] || {};
+    return {
+        min: settings.min_selections ?? 0,
+        max: isRankedPosition(position) ? Infinity : (settings.max_selections ?? 1)
+    };
+}
+
+// Number of candidates chosen (or ranked) for a position
+function countSelections(vote) {
+    if (!vote) return 0;
+    if (vote.ranking) return vote.ranking.length;
+    if (vote.candidateIds) return vote.candidateIds.length;
+    return 1;
+}
+
+function getSelectionHint(position) {
+    const { min, max } = getSelectionLimits(position);
+    if (max === 1) {
+        return min > 0 ? 'Required - select one candidate.' : '';
+    }
+    if (min > 0 && min === max) {
+        return `Select exactly ${max} candidates.`;
+    }
+    return min > 0 ? `Select between ${min} and ${max} candidates.` : `Select up to ${max} candidates.`;
+}
+
 // Update election status badge
 function updateElectionStatus(isOpen) {
     const statusDot = document.querySelector('.status-dot');
     const statusText = document.querySelector('.status-text');
     
-    if (isOpen) {
-        statusDot.classList.add('open');
-        statusText.textContent = 'Voting Open';
-    } else {
-        statusDot.classList.add('closed');
-        statusText.textContent = 'Voting Closed';
-    }
+    // The public results page stays up while voting closes, so the status can change
+    statusDot.classList.toggle('open', isOpen);
+    statusDot.classList.toggle('closed', !isOpen);
+    statusText.textContent = isOpen ? 'Voting Open' : 'Voting Closed';
 }
 
 // Show different states
@@ -140,13 +443,23 @@ function showClosedState() {
     updateElectionStatus(false);
 }
 
-function showVotedState() {
+// receipt is only passed straight after submission - it is never shown again
+function showVotedState(receipt = null) {
     document.getElementById('loadingState').classList.add('hidden');
     document.getElementById('votedState').classList.remove('hidden');
+
+    const receiptBox = document.getElementById('receiptBox');
+    if (receipt) {
+        document.getElementById('receiptCode').textContent = receipt;
+        document.getElementById('bulletinLink').href = getBulletinUrl();
+        receiptBox.classList.remove('hidden');
+    } else {
+        receiptBox.classList.add('hidden');
+    }
     
     // Only show view results button if election is closed
     const viewResultsBtn = document.getElementById('viewResultsBtn');
-    if (currentElection && !currentElection.is_open) {
+    if (currentElection && areResultsPublic(currentElection)) {
         viewResultsBtn.style.display = 'inline-block';
     } else {
         viewResultsBtn.style.display = 'none';
@@ -163,8 +476,8 @@ function renderVotingForm() {
     document.getElementById('electionTitle').textContent = currentElection.title;
     document.getElementById('electionDescription').textContent = currentElection.description || '';
     
-    // Group candidates by position
-    const grouped = candidates.reduce((acc, candidate) => {
+    // Group candidates by position, leaving out positions this voter cannot vote for
+    const grouped = candidates.filter(candidate => isEligibleForPosition(candidate.position)).reduce((acc, candidate) => {
         if (!acc[candidate.position]) {
             acc[candidate.position] = [];
         }
@@ -173,19 +486,29 @@ function renderVotingForm() {
     }, {});
 
     const container = document.getElementById('positionsContainer');
-    container.innerHTML = Object.entries(grouped).map(([position, candidateList]) => `
+
+    if (Object.keys(grouped).length === 0) {
+        container.innerHTML = '<p class="position-hint">There are no positions on this ballot for your voter group.</p>';
+        return;
+    }
+
+    container.innerHTML = Object.entries(grouped).map(([position, candidateList]) => isRankedPosition(position)
+        ? renderRankedPosition(position, candidateList)
+        : `
         <div class="position-section">
             <h3 class="position-title">${escapeHtml(position)}</h3>
+            ${getSelectionHint(position) ? `<p class="position-hint">${getSelectionHint(position)}</p>` : ''}
             <div class="candidates-grid">
                 ${candidateList.map(candidate => `
                     <label class="candidate-option" data-position="${escapeHtml(position)}">
                         <input 
-                            type="radio" 
+                            type="${getSelectionLimits(position).max > 1 ? 'checkbox' : 'radio'}" 
                             name="position_${escapeHtml(position)}" 
                             value="${candidate.id}"
                             data-candidate-name="${escapeHtml(candidate.name)}"
                             data-position="${escapeHtml(position)}"
                         >
+                        ${renderCandidatePhoto(candidate)}
                         <div class="candidate-info">
                             <h4>${escapeHtml(candidate.name)}</h4>
                             ${candidate.description ? `<p>${escapeHtml(candidate.description)}</p>` : ''}
@@ -200,6 +523,75 @@ function renderVotingForm() {
     document.querySelectorAll('.candidate-option input[type="radio"]').forEach(radio => {
         radio.addEventListener('change', handleCandidateSelection);
     });
+
+    // Add event listeners for multi-seat checkboxes
+    document.querySelectorAll('.candidate-option input[type="checkbox"]').forEach(checkbox => {
+        checkbox.addEventListener('change', handleMultipleSelection);
+    });
+
+    // Add event listeners for rank selectors
+    document.querySelectorAll('.rank-select').forEach(select => {
+        select.addEventListener('change', handleRankSelection);
+    });
+}
+
+// Render a ranked-choice position - each candidate gets a preference number
+function renderRankedPosition(position, candidateList) {
+    const rankOptions = candidateList.map((_, index) => 
+        `<option value="${index + 1}">${ordinal(index + 1)} choice</option>`
+    ).join('');
+
+    return `
+        <div class="position-section">
+            <h3 class="position-title">${escapeHtml(position)}</h3>
+            <p class="position-hint">
+                Rank the candidates in order of preference.
+                ${getSelectionLimits(position).min > 0
+                    ? `Rank at least ${getSelectionLimits(position).min}.`
+                    : "You don't have to rank everyone."}
+            </p>
+            <div class="candidates-grid">
+                ${candidateList.map(candidate => `
+                    <label class="candidate-option ranked" data-position="${escapeHtml(position)}">
+                        <select 
+                            class="rank-select"
+                            data-candidate-id="${candidate.id}"
+                            data-candidate-name="${escapeHtml(candidate.name)}"
+                            data-position="${escapeHtml(position)}"
+                            aria-label="Preference for ${escapeHtml(candidate.name)}"
+                        >
+                            <option value="">Not ranked</option>
+                            ${rankOptions}
+                        </select>
+                        ${renderCandidatePhoto(candidate)}
+                        <div class="candidate-info">
+                            <h4>${escapeHtml(candidate.name)}</h4>
+                            ${candidate.description ? `<p>${escapeHtml(candidate.description)}</p>` : ''}
+                        </div>
+                    </label>
+                `).join('')}
+            </div>
+        </div>
+    `;
+}
+
+// Thumbnail if the candidate has a photo, otherwise their initials
+function renderCandidatePhoto(candidate) {
+    const url = candidate.thumbnail_url || candidate.image_url;
+
+    if (url) {
+        return `<img class="candidate-photo" src="${escapeHtml(url)}" alt="" loading="lazy">`;
+    }
+
+    const initials = candidate.name
+        .split(' ')
+        .filter(Boolean)
+        .map(word => word[0])
+        .join('')
+        .toUpperCase()
+        .slice(0, 2);
+
+    return `<div class="candidate-photo initials" aria-hidden="true">${escapeHtml(initials)}</div>`;
 }
 
 // Handle candidate selection
@@ -222,18 +614,101 @@ function handleCandidateSelection(e) {
     radio.closest('.candidate-option').classList.add('selected');
 }
 
+// Handle checkbox selection for a multi-seat position
+function handleMultipleSelection(e) {
+    const checkbox = e.target;
+    const position = checkbox.dataset.position;
+    const { max } = getSelectionLimits(position);
+    const checkboxes = Array.from(document.querySelectorAll('.candidate-option input[type="checkbox"]'))
+        .filter(c => c.dataset.position === position);
+
+    if (checkbox.checked && checkboxes.filter(c => c.checked).length > max) {
+        checkbox.checked = false;
+        alert(`You can select at most ${max} candidates for ${position}.`);
+        return;
+    }
+
+    checkboxes.forEach(c => {
+        c.closest('.candidate-option').classList.toggle('selected', c.checked);
+    });
+
+    const checked = checkboxes.filter(c => c.checked);
+    if (checked.length === 0) {
+        delete selectedVotes[position];
+        return;
+    }
+
+    selectedVotes[position] = {
+        candidateIds: checked.map(c => c.value),
+        candidateNames: checked.map(c => c.dataset.candidateName)
+    };
+}
+
+// Handle rank selection for a ranked-choice position
+function handleRankSelection(e) {
+    const select = e.target;
+    const position = select.dataset.position;
+    const selects = Array.from(document.querySelectorAll('.rank-select'))
+        .filter(s => s.dataset.position === position);
+
+    // A preference can only be given once - clear it from any other candidate
+    if (select.value) {
+        selects.forEach(other => {
+            if (other !== select && other.value === select.value) {
+                other.value = '';
+            }
+        });
+    }
+
+    const ranked = selects
+        .filter(s => s.value)
+        .sort((a, b) => Number(a.value) - Number(b.value));
+
+    selects.forEach(s => {
+        s.closest('.candidate-option').classList.toggle('selected', Boolean(s.value));
+    });
+
+    if (ranked.length === 0) {
+        delete selectedVotes[position];
+        return;
+    }
+
+    selectedVotes[position] = {
+        candidateId: ranked[0].dataset.candidateId,
+        candidateName: ranked[0].dataset.candidateName,
+        ranking: ranked.map(s => s.dataset.candidateId),
+        rankingNames: ranked.map(s => s.dataset.candidateName)
+    };
+}
+
 // Handle form submission
 document.getElementById('ballotForm').addEventListener('submit', async (e) => {
     e.preventDefault();
     
     // Validate all positions have selections
-    const positions = Object.keys(candidates.reduce((acc, c) => ({ ...acc, [c.position]: true }), {}));
+    const positions = Object.keys(candidates.reduce((acc, c) => ({ ...acc, [c.position]: true }), {}))
+        .filter(isEligibleForPosition);
     const selectedPositions = Object.keys(selectedVotes);
     
     if (selectedPositions.length === 0) {
         alert('Please select at least one candidate to vote for.');
         return;
     }
+
+    // Validate each position's selection limits
+    for (const position of positions) {
+        const { min, max } = getSelectionLimits(position);
+        const count = countSelections(selectedVotes[position]);
+
+        if (count < min) {
+            alert(`Please select at least ${min} candidate${min === 1 ? '' : 's'} for ${position}.`);
+            return;
+        }
+        if (count > max) {
+            alert(`You can select at most ${max} candidates for ${position}.`);
+            return;
+        }
+    }
     
     // Show confirmation modal
     showConfirmationModal();
@@ -249,7 +724,9 @@ function showConfirmationModal() {
             ${Object.entries(selectedVotes).map(([position, vote]) => `
                 <div class="vote-summary-item">
                     <span class="vote-summary-position">${escapeHtml(position)}:</span>
-                    <span class="vote-summary-candidate">${escapeHtml(vote.candidateName)}</span>
+                    <span class="vote-summary-candidate">${vote.ranking
+                        ? vote.rankingNames.map((name, index) => `${index + 1}. ${escapeHtml(name)}`).join('<br>')
+                        : (vote.candidateNames || [vote.candidateName]).map(escapeHtml).join('<br>')}</span>
                 </div>
             `).join('')}
         </div>
@@ -275,43 +752,42 @@ async function submitVotes() {
         submitBtn.disabled = true;
         submitBtn.textContent = 'Submitting...';
         
-        // Register voter
-        const { data: voter, error: voterError } = await supabase
-            .from('voters')
-            .insert([{
-                election_id: currentElection.id,
-                fingerprint_hash: voterFingerprint,
-                ip_address: null // Could be added if needed
-            }])
-            .select()
-            .single();
-
-        if (voterError) throw voterError;
-        
-        voterId = voter.id;
-        
-        // Submit votes
-        const votes = Object.entries(selectedVotes).map(([position, vote]) => ({
-            voter_id: voterId,
-            candidate_id: vote.candidateId,
-            election_id: currentElection.id,
-            position: position
-        }));
+        // Record the voter and every vote in one transaction - either all of it is stored or none
+        const votes = Object.entries(selectedVotes).flatMap(([position, vote]) => 
+            (vote.candidateIds || [vote.candidateId]).map(candidateId => ({
+                candidate_id: candidateId,
+                position: position,
+                ranking: vote.ranking || null
+            }))
+        );
         
-        const { error: votesError } = await supabase
-            .from('votes')
-            .insert(votes);
+        const { data: receipt, error: submitError } = await supabase.rpc('submit_ballot', {
+            p_election_id: currentElection.id,
+            p_fingerprint_hash: isTokenElection() || isRollElection() ? null : voterFingerprint,
+            p_votes: votes,
+            p_token: isTokenElection() || isRollElection() ? voterToken : null,
+            p_voter_ref: isRollElection() ? voterRollRef : null
+        });
 
-        if (votesError) throw votesError;
+        if (submitError) {
+            // Unique violation on voters - this device (or code) already has a ballot recorded
+            if (submitError.code === '23505') {
+                document.getElementById('confirmModal').classList.add('hidden');
+                document.getElementById('votingForm').classList.add('hidden');
+                showVotedState();
+                return;
+            }
+            throw submitError;
+        }
         
-        // Close modal and show success
+        // Close modal and show success, with the receipt this one time
         document.getElementById('confirmModal').classList.add('hidden');
         document.getElementById('votingForm').classList.add('hidden');
-        showVotedState();
+        showVotedState(receipt);
         
     } catch (error) {
         console.error('Error submitting votes:', error);
-        alert('Failed to submit votes. Please try again.');
+        alert(`Failed to submit votes${error.message ? ': ' + error.message : ''}. Please try again.`);
         
         // Re-enable button
         const submitBtn = document.getElementById('confirmSubmitBtn');
@@ -322,7 +798,7 @@ async function submitVotes() {
 
 // View results - only available when election is closed
 document.getElementById('viewResultsBtn').addEventListener('click', async () => {
-    if (!currentElection || currentElection.is_open) {
+    if (!currentElection || !areResultsPublic(currentElection)) {
         alert('Results will be available after the voting period ends.');
         return;
     }
@@ -335,46 +811,72 @@ document.getElementById('viewResultsBtn').addEventListener('click', async () =>
 // Load results
 async function loadResults() {
     try {
-        const { data, error } = await supabase
-            .from('election_results')
-            .select('*')
-            .eq('election_id', currentElection.id)
-            .order('position', { ascending: true })
-            .order('total_votes', { ascending: false });
-
-        if (error) throw error;
-
-        renderResults(data || []);
-        
+        const { positions, certification } = await fetchResults();
+        document.getElementById('resultsContent').innerHTML = renderResults(positions, certification);
     } catch (error) {
         console.error('Error loading results:', error);
         alert('Failed to load results.');
     }
 }
 
-// Render results
-function renderResults(results) {
-    // Group by position
-    const grouped = results.reduce((acc, result) => {
-        if (!acc[result.position]) {
-            acc[result.position] = [];
-        }
-        acc[result.position].push(result);
-        return acc;
-    }, {});
+// Results per position. Once certified, only the official snapshot is shown - never a live count
+async function fetchResults() {
+    const { data: certification, error: certificationError } = await supabase
+        .from('election_certifications')
+        .select('*')
+        .eq('election_id', currentElection.id)
+        .maybeSingle();
+
+    if (certificationError) throw certificationError;
+
+    if (certification) {
+        return { positions: groupSnapshot(certification.results), certification };
+    }
+
+    const { data, error } = await supabase
+        .from('election_results')
+        .select('*')
+        .eq('election_id', currentElection.id);
+
+    if (error) throw error;
+
+    return { positions: tallyResults(fromViewRows(data || []), { positions: positionSettings }), certification: null };
+}
+
+// Votes stay unreadable while voting is open; elections showing full live results publish their counts instead
+async function fetchLiveResults() {
+    const { data, error } = await supabase.rpc('live_election_results', { p_election_id: currentElection.id });
 
-    const container = document.getElementById('resultsContent');
-    container.innerHTML = Object.entries(grouped).map(([position, positionResults]) => `
+    if (error) throw error;
+
+    return tallyResults(fromViewRows(data || []), { positions: positionSettings });
+}
+
+// Render results - ranked-choice positions show first preferences; certified results also mark who was elected
+function renderResults(positions, certification = null) {
+    const badge = certification ? `
+        <div class="certified-badge">
+            ✅ Certified on ${new Date(certification.certified_at).toLocaleDateString(undefined, { dateStyle: 'long' })}
+            <span class="certified-hash" title="${escapeHtml(certification.ballot_hash)}">
+                ${certification.ballot_count} ballots · SHA-256 ${escapeHtml(certification.ballot_hash.slice(0, 16))}…
+            </span>
+        </div>
+    ` : '';
+
+    return badge + positions.map(({ position, results }) => `
         <div class="result-position">
             <h3>${escapeHtml(position)}</h3>
-            ${positionResults.map(result => `
+            ${results.map(result => `
                 <div class="result-item">
                     <div class="result-header-row">
-                        <span class="result-name">${escapeHtml(result.candidate_name)}</span>
-                        <span class="result-votes">${result.total_votes || 0} votes (${result.vote_percentage || 0}%)</span>
+                        <span class="result-name">
+                            ${escapeHtml(result.candidate_name)}
+                            ${certification && result.elected ? '<span class="elected-badge">Elected</span>' : ''}
+                        </span>
+                        <span class="result-votes">${result.total_votes} votes (${result.vote_percentage}%)</span>
                     </div>
                     <div class="progress-bar">
-                        <div class="progress-fill" style="width: ${result.vote_percentage || 0}%"></div>
+                        <div class="progress-fill" style="width: ${result.vote_percentage}%"></div>
                     </div>
                 </div>
             `).join('')}
@@ -382,12 +884,216 @@ function renderResults(results) {
     `).join('');
 }
 
+// Public results page - for projecting at an event. While voting is open it shows what the
+// election's live_results setting allows, from counts the database publishes; once closed, the results.
+async function showLiveResults() {
+    document.getElementById('liveView').classList.remove('hidden');
+
+    await loadPositions();
+    await refreshLiveResults();
+
+    // New ballots change the turnout counter; election updates may close voting or change what is shown
+    supabase
+        .channel(`live-results:${currentElection.id}`)
+        .on(
+            'postgres_changes',
+            { event: '*', schema: 'public', table: 'election_turnout', filter: `election_id=eq.${currentElection.id}` },
+            scheduleLiveRefresh
+        )
+        .on(
+            'postgres_changes',
+            { event: 'UPDATE', schema: 'public', table: 'elections', filter: `id=eq.${currentElection.id}` },
+            scheduleLiveRefresh
+        )
+        .subscribe();
+}
+
+function scheduleLiveRefresh() {
+    if (liveRefreshTimer) return;
+
+    liveRefreshTimer = setTimeout(async () => {
+        liveRefreshTimer = null;
+        await refreshLiveResults();
+    }, LIVE_REFRESH_DELAY);
+}
+
+async function refreshLiveResults() {
+    try {
+        const { data: election, error } = await supabase
+            .from('elections')
+            .select('*')
+            .eq('id', currentElection.id)
+            .single();
+
+        if (error) throw error;
+
+        currentElection = election;
+        updateElectionStatus(election.status === 'open');
+        document.getElementById('liveElectionTitle').textContent = election.title;
+
+        const isOpen = election.status === 'open';
+        const mode = areResultsPublic(election) ? 'full' : isOpen ? election.live_results || 'hidden' : 'hidden';
+        const turnout = document.getElementById('liveTurnout');
+        const content = document.getElementById('liveContent');
+
+        if (mode === 'hidden') {
+            turnout.classList.add('hidden');
+            content.innerHTML = `<p class="results-message">${isOpen
+                ? 'Results will be shown once voting closes.'
+                : 'Voting has not started yet.'}</p>`;
+        } else {
+            const { data: counter, error: countError } = await supabase
+                .from('election_turnout')
+                .select('ballot_count')
+                .eq('election_id', election.id)
+                .maybeSingle();
+
+            if (countError) throw countError;
+
+            const count = counter?.ballot_count || 0;
+            turnout.innerHTML = `<span class="live-turnout-count">${count}</span> ballot${count === 1 ? '' : 's'} cast`;
+            turnout.classList.remove('hidden');
+
+            if (mode === 'full' && isOpen) {
+                content.innerHTML = renderResults(await fetchLiveResults());
+            } else if (mode === 'full') {
+                const { positions, certification } = await fetchResults();
+                content.innerHTML = renderResults(positions, certification);
+            } else {
+                content.innerHTML = '<p class="results-message">Full results will be shown once voting closes.</p>';
+            }
+        }
+
+        document.getElementById('liveUpdated').textContent = `Updated ${new Date().toLocaleTimeString()}`;
+    } catch (error) {
+        // The page is left up unattended; keep showing the last results and try again on the next update
+        console.error('Error loading live results:', error);
+    }
+}
+
+// Bulletin board - every counted ballot by receipt hash, public once voting has closed
+function getBulletinUrl() {
+    return `?election=${encodeURIComponent(currentElection.id)}&view=bulletin`;
+}
+
+async function showBulletinBoard() {
+    document.getElementById('bulletinElectionTitle').textContent = currentElection.title;
+    document.getElementById('bulletinList').innerHTML = '';
+    document.getElementById('receiptLookupResult').innerHTML = '';
+    bulletinOffset = 0;
+
+    document.getElementById('resultsView').classList.add('hidden');
+    document.getElementById('bulletinView').classList.remove('hidden');
+
+    await loadBulletinPage();
+}
+
+async function loadBulletinPage() {
+    try {
+        const { data, error } = await supabase
+            .from('ballot_bulletin')
+            .select('receipt_hash, choices')
+            .eq('election_id', currentElection.id)
+            .order('receipt_hash', { ascending: true })
+            .range(bulletinOffset, bulletinOffset + BULLETIN_PAGE_SIZE - 1);
+
+        if (error) throw error;
+
+        const ballots = data || [];
+        bulletinOffset += ballots.length;
+
+        const list = document.getElementById('bulletinList');
+        if (bulletinOffset === 0) {
+            list.innerHTML = '<p class="bulletin-intro">No ballots have been published for this election.</p>';
+        } else {
+            list.insertAdjacentHTML('beforeend', ballots.map(ballot => renderBulletinBallot(ballot)).join(''));
+        }
+
+        document.getElementById('loadMoreBallotsBtn').classList.toggle('hidden', ballots.length < BULLETIN_PAGE_SIZE);
+    } catch (error) {
+        console.error('Error loading bulletin board:', error);
+        alert('Failed to load the bulletin board.');
+    }
+}
+
+function renderBulletinBallot(ballot, isMatch = false) {
+    return `
+        <div class="bulletin-ballot ${isMatch ? 'match' : ''}">
+            <span class="bulletin-hash">${escapeHtml(ballot.receipt_hash)}</span>
+            ${(ballot.choices || []).map(choice => `
+                <div class="bulletin-choice">
+                    <strong>${escapeHtml(choice.position)}:</strong>
+                    ${choice.ranking
+                        ? choice.ranking.map((name, index) => `${index + 1}. ${escapeHtml(name)}`).join(', ')
+                        : escapeHtml(choice.candidate)}
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+// Receipts are hashed the same way submit_ballot stores them: upper case, separators removed
+async function hashReceipt(receipt) {
+    const normalized = receipt.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalized));
+    return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function handleReceiptLookup(e) {
+    e.preventDefault();
+
+    const receipt = document.getElementById('receiptInput').value.trim();
+    const resultContainer = document.getElementById('receiptLookupResult');
+    if (!receipt) return;
+
+    try {
+        const receiptHash = await hashReceipt(receipt);
+        const { data, error } = await supabase
+            .from('ballot_bulletin')
+            .select('receipt_hash, choices')
+            .eq('election_id', currentElection.id)
+            .eq('receipt_hash', receiptHash)
+            .maybeSingle();
+
+        if (error) throw error;
+
+        resultContainer.innerHTML = data
+            ? `<p class="bulletin-intro">✅ Your ballot is on the board, recorded as:</p>${renderBulletinBallot(data, true)}`
+            : '<p class="token-error">No ballot with that receipt was found. Check the code and try again.</p>';
+    } catch (error) {
+        console.error('Error looking up receipt:', error);
+        alert('Failed to look up the receipt.');
+    }
+}
+
+document.getElementById('viewBulletinBtn').addEventListener('click', showBulletinBoard);
+document.getElementById('loadMoreBallotsBtn').addEventListener('click', loadBulletinPage);
+document.getElementById('receiptLookupForm').addEventListener('submit', handleReceiptLookup);
+
+document.getElementById('backToResultsBtn').addEventListener('click', async () => {
+    await loadResults();
+    document.getElementById('bulletinView').classList.add('hidden');
+    document.getElementById('resultsView').classList.remove('hidden');
+});
+
+document.getElementById('copyReceiptBtn').addEventListener('click', async () => {
+    const copyBtn = document.getElementById('copyReceiptBtn');
+    try {
+        await navigator.clipboard.writeText(document.getElementById('receiptCode').textContent);
+        copyBtn.textContent = 'Copied';
+    } catch (error) {
+        copyBtn.textContent = 'Copy failed - write it down';
+    }
+});
+
 // Utility
-function escapeHtml(text) {
-    if (!text) return '';
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+function areResultsPublic(election) {
+    return ['closed', 'certified', 'archived'].includes(election.status);
+}
+
+function ordinal(n) {
+    const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+    return `${n}${suffixes[new Intl.PluralRules('en', { type: 'ordinal' }).select(n)]}`;
 }
 
 // Close modal on backdrop click
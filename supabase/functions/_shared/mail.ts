@@ -0,0 +1,70 @@
+/**
+ * Pluggable mail transport
+ * Chosen with MAIL_TRANSPORT: "smtp" (default) or "log"
+ *
+ * SMTP works against any server, including the local stand-in that `supabase start`
+ * runs (Inbucket/Mailpit: SMTP on port 54325, web UI on http://localhost:54324)
+ */
+
+import { SMTPClient } from 'https://deno.land/x/denomailer@1.6.0/mod.ts';
+
+export interface MailMessage {
+    to: string;
+    subject: string;
+    text: string;
+}
+
+export interface MailTransport {
+    send(message: MailMessage): Promise<void>;
+}
+
+// Sends through an SMTP server configured by SMTP_* environment variables
+function createSmtpTransport(from: string): MailTransport {
+    const port = Number(Deno.env.get('SMTP_PORT') || 587);
+    const username = Deno.env.get('SMTP_USER');
+    const password = Deno.env.get('SMTP_PASS');
+
+    return {
+        async send({ to, subject, text }) {
+            const client = new SMTPClient({
+                connection: {
+                    hostname: Deno.env.get('SMTP_HOST') || 'localhost',
+                    port,
+                    tls: port === 465,
+                    auth: username ? { username, password: password || '' } : undefined
+                }
+            });
+
+            try {
+                await client.send({ from, to, subject, content: text });
+            } finally {
+                await client.close();
+            }
+        }
+    };
+}
+
+// Writes messages to the function log instead of sending them - for development only
+function createLogTransport(from: string): MailTransport {
+    return {
+        async send({ to, subject, text }) {
+            console.log(`[mail] from=${from} to=${to} subject=${subject}\n${text}`);
+        }
+    };
+}
+
+const TRANSPORTS: Record<string, (from: string) => MailTransport> = {
+    smtp: createSmtpTransport,
+    log: createLogTransport
+};
+
+export function createMailTransport(): MailTransport {
+    const name = Deno.env.get('MAIL_TRANSPORT') || 'smtp';
+    const from = Deno.env.get('MAIL_FROM') || 'Blind Voting System <no-reply@localhost>';
+    const factory = TRANSPORTS[name];
+
+    if (!factory) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+    return factory(from);
+}
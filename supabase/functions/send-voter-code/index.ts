@@ -0,0 +1,74 @@
+/**
+ * send-voter-code
+ * Issues a one-time code for a voter on an election's roll and emails it to them.
+ * The code is generated and hashed in the database (issue_roll_code); it never reaches the browser.
+ */
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { createMailTransport } from '../_shared/mail.ts';
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+function json(body: unknown, status = 200) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+}
+
+Deno.serve(async (req) => {
+    if (req.method === 'OPTIONS') {
+        return new Response('ok', { headers: corsHeaders });
+    }
+
+    try {
+        const { election_id: electionId, voter_ref: voterRef } = await req.json();
+
+        if (!electionId || !voterRef) {
+            return json({ error: 'election_id and voter_ref are required' }, 400);
+        }
+
+        const supabase = createClient(
+            Deno.env.get('SUPABASE_URL')!,
+            Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+        );
+
+        const { data, error } = await supabase.rpc('issue_roll_code', {
+            p_election_id: electionId,
+            p_voter_ref: String(voterRef)
+        });
+
+        if (error) throw error;
+
+        // No row: not on the roll, already voted, or a code was sent moments ago.
+        // The response is the same either way so the roll cannot be probed.
+        const issued = data?.[0];
+        if (issued) {
+            const { data: election } = await supabase
+                .from('elections')
+                .select('title')
+                .eq('id', electionId)
+                .single();
+
+            await createMailTransport().send({
+                to: issued.email,
+                subject: `Your voting code for ${election?.title || 'the election'}`,
+                text: [
+                    `Your one-time voting code is: ${issued.code}`,
+                    '',
+                    'It expires in 15 minutes and can only be used once.',
+                    'If you did not ask for this code, you can ignore this email.'
+                ].join('\n')
+            });
+        }
+
+        return json({ sent: true });
+    } catch (error) {
+        console.error('Error sending voter code:', error);
+        return json({ error: 'Could not send a voting code' }, 500);
+    }
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { GENESIS_HASH, canonicalJSON, computeEntryHash, verifyAuditChain } from '../admin/js/audit.js';
+
+const entry = (prevHash, fields = {}) => ({
+    prev_hash: prevHash,
+    recorded_at: '2026-10-19T18:52:14.123Z',
+    actor_email: 'owner@example.org',
+    action: 'update',
+    entity_type: 'candidate',
+    entity_id: 'c1',
+    election_id: 'e1',
+    before_data: { name: 'Ada' },
+    after_data: { name: 'Ada Lovelace' },
+    ...fields
+});
+
+async function chain(...entries) {
+    let prevHash = GENESIS_HASH;
+    for (const item of entries) {
+        item.prev_hash = prevHash;
+        item.hash = await computeEntryHash(item);
+        prevHash = item.hash;
+    }
+    return entries;
+}
+
+test('canonical JSON sorts keys at every level and has no spaces, as canonical_json() writes it', () => {
+    assert.equal(
+        canonicalJSON({ b: [3, { z: null, a: 'x"y' }], a: true, seats: 2, threshold: 50.5 }),
+        '{"a":true,"b":[3,{"a":"x\\"y","z":null}],"seats":2,"threshold":50.5}'
+    );
+    assert.equal(canonicalJSON({}), '{}');
+    assert.equal(canonicalJSON(null), 'null');
+});
+
+test('an entry hashes its canonical JSON with the time in milliseconds', async () => {
+    const item = entry(GENESIS_HASH);
+    const payload = '{"action":"update","actor_email":"owner@example.org","after_data":{"name":"Ada Lovelace"},' +
+        '"before_data":{"name":"Ada"},"election_id":"e1","entity_id":"c1","entity_type":"candidate",' +
+        `"prev_hash":"${GENESIS_HASH}","recorded_at":"2026-10-19T18:52:14.123Z"}`;
+
+    assert.equal(await computeEntryHash(item), createHash('sha256').update(payload).digest('hex'));
+
+    // The same instant as read back from timestamptz
+    assert.equal(
+        await computeEntryHash({ ...item, recorded_at: '2026-10-19 18:52:14.123+00' }),
+        await computeEntryHash(item)
+    );
+});
+
+test('an intact chain verifies', async () => {
+    const entries = await chain(entry(null), entry(null, { action: 'delete', after_data: null }));
+
+    assert.deepEqual(await verifyAuditChain(entries), { valid: true, checked: 2, brokenAt: null, reason: null });
+});
+
+test('a modified entry breaks the chain at that entry', async () => {
+    const entries = await chain(entry(null), entry(null), entry(null));
+    entries[1].after_data = { name: 'Someone Else' };
+
+    const result = await verifyAuditChain(entries);
+    assert.equal(result.valid, false);
+    assert.equal(result.checked, 1);
+    assert.equal(result.brokenAt, entries[1]);
+});
+
+test('a removed entry breaks the chain at the entry after it', async () => {
+    const entries = await chain(entry(null), entry(null), entry(null));
+
+    const result = await verifyAuditChain([entries[0], entries[2]]);
+    assert.equal(result.valid, false);
+    assert.equal(result.checked, 1);
+    assert.match(result.reason, /removed or reordered/);
+});
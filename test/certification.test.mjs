@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { serializeBallotSet, hashBallotSet } from '../admin/js/certification.js';
+
+const ballot = (receiptHash, votes) => ({ receipt_hash: receiptHash, votes });
+
+test('ballots serialize as JSON arrays without spaces, as ballot_set_hash() builds them', () => {
+    const serialized = serializeBallotSet([
+        ballot('bb', [{ position: 'Chair', candidate: 'c1', ranking: null }]),
+        ballot(null, [
+            { position: 'Treasurer', candidate: 'c3', ranking: ['c3', 'c4'] },
+            { position: 'Chair', candidate: 'c2', ranking: null }
+        ])
+    ]);
+
+    assert.equal(serialized,
+        '[["bb",[["Chair","c1",null]]],[null,[["Chair","c2",null],["Treasurer","c3",["c3","c4"]]]]]');
+});
+
+test('an empty ballot set serializes as an empty list', () => {
+    assert.equal(serializeBallotSet([]), '[]');
+    assert.equal(serializeBallotSet([ballot('aa', [])]), '[["aa",[]]]');
+});
+
+test('ballots are sorted by code point, like COLLATE "C"', () => {
+    // U+FF5E sorts after U+1F600 in UTF-16 code units, but before it by code point
+    const serialized = serializeBallotSet([
+        ballot(null, [{ position: '😀', candidate: 'c1', ranking: null }]),
+        ballot(null, [{ position: '～', candidate: 'c1', ranking: null }])
+    ]);
+
+    assert.ok(serialized.indexOf('～') < serialized.indexOf('😀'));
+});
+
+test('the hash is the SHA-256 of the serialized set', async () => {
+    const ballots = [ballot('aa', [{ position: 'Chair', candidate: 'c1', ranking: null }])];
+    const expected = createHash('sha256').update(serializeBallotSet(ballots)).digest('hex');
+
+    assert.equal(await hashBallotSet(ballots), expected);
+});
@@ -0,0 +1,13 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeHtml } from '../site/js/html.js';
+
+test('escapeHtml escapes markup and both kinds of quote', () => {
+    assert.equal(escapeHtml(`<a href="x" title='y'>&</a>`), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+});
+
+test('escapeHtml keeps numbers and turns null into an empty string', () => {
+    assert.equal(escapeHtml(0), '0');
+    assert.equal(escapeHtml(null), '');
+    assert.equal(escapeHtml(undefined), '');
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runInstantRunoff } from '../site/js/irv.js';
+
+const ballots = (count, ranking) => Array(count).fill(ranking);
+
+test('a majority of first preferences wins in the first round', () => {
+    const count = runInstantRunoff(['A', 'B'], [...ballots(3, ['A']), ...ballots(2, ['B'])]);
+
+    assert.equal(count.winner, 'A');
+    assert.equal(count.rounds.length, 1);
+});
+
+test('transfers the votes of the eliminated candidate', () => {
+    const count = runInstantRunoff(['A', 'B', 'C'], [
+        ...ballots(4, ['A']),
+        ...ballots(3, ['B']),
+        ...ballots(2, ['C', 'B'])
+    ]);
+
+    assert.deepEqual(count.rounds[0].eliminated, ['C']);
+    assert.equal(count.winner, 'B');
+});
+
+test('stops at a tie for last place it cannot break instead of eliminating both', () => {
+    // Eliminating B and C together would elect A; eliminating either one elects the other
+    const count = runInstantRunoff(['A', 'B', 'C'], [
+        ...ballots(4, ['A']),
+        ...ballots(3, ['B', 'C']),
+        ...ballots(3, ['C', 'B'])
+    ]);
+
+    assert.equal(count.winner, null);
+    assert.deepEqual(count.tied, ['B', 'C']);
+    assert.equal(count.elimination, true);
+});
+
+test('breaks a tie for last place by lot, eliminating the candidate drawn last', () => {
+    const count = runInstantRunoff(['A', 'B', 'C'], [
+        ...ballots(4, ['A']),
+        ...ballots(3, ['B', 'C']),
+        ...ballots(3, ['C', 'B'])
+    ], ['B', 'C', 'A']);
+
+    assert.deepEqual(count.rounds[0].eliminated, ['C']);
+    assert.equal(count.rounds[0].tieBreak, 'lot');
+    assert.equal(count.winner, 'B');
+});
+
+test('breaks a tie for last place by the earlier rounds', () => {
+    const count = runInstantRunoff(['A', 'B', 'C', 'D'], [
+        ...ballots(5, ['A']),
+        ...ballots(3, ['B']),
+        ...ballots(2, ['C']),
+        ...ballots(1, ['D', 'C'])
+    ]);
+
+    // D goes first; B and C are then level on 3, and C had fewer votes in round 1
+    assert.deepEqual(count.rounds[0].eliminated, ['D']);
+    assert.deepEqual(count.rounds[1].eliminated, ['C']);
+    assert.equal(count.rounds[1].tieBreak, 'earlier_rounds');
+});
+
+test('eliminates candidates together when their combined votes cannot catch anyone', () => {
+    const count = runInstantRunoff(['A', 'B', 'C', 'D'], [
+        ...ballots(3, ['A']),
+        ...ballots(2, ['B']),
+        ...ballots(1, ['C'])
+    ]);
+
+    assert.deepEqual(count.rounds[0].eliminated, ['D']);
+    assert.deepEqual(count.rounds[1].eliminated, ['C']);
+    assert.equal(count.winner, 'A');
+});
+
+test('reports a tie for the win when the last two are level', () => {
+    const count = runInstantRunoff(['A', 'B'], [['A'], ['B']]);
+
+    assert.deepEqual(count.tied, ['A', 'B']);
+    assert.equal(count.elimination, false);
+    assert.equal(runInstantRunoff(['A', 'B'], [['A'], ['B']], ['B', 'A']).winner, 'B');
+});
@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { percentage, tallyVotes, fromViewRows, tallyResults } from '../site/js/tally.js';
+
+const candidates = [
+    { id: 'a', name: 'Ada', position: 'Chair' },
+    { id: 'b', name: 'Bo', position: 'Chair' },
+    { id: 'c', name: 'Cy', position: 'Chair' }
+];
+
+const votesFor = (...ids) => ids.map(id => ({ position: 'Chair', candidate_id: id }));
+
+const rowsFor = (totals) => candidates.map(candidate => ({
+    position: candidate.position,
+    candidate_id: candidate.id,
+    candidate_name: candidate.name,
+    total_votes: totals[candidate.id] || 0
+}));
+
+test('percentage rounds to two places and is 0 for an empty whole', () => {
+    assert.equal(percentage(1, 3), 33.33);
+    assert.equal(percentage(5, 0), 0);
+});
+
+test('tallyVotes lists every candidate, including those without votes', () => {
+    const rows = tallyVotes(votesFor('a', 'a', 'b'), candidates);
+
+    assert.deepEqual(rows.map(row => [row.candidate_id, row.total_votes]), [['a', 2], ['b', 1], ['c', 0]]);
+});
+
+test('fromViewRows reads vote_count as a number', () => {
+    const [row] = fromViewRows([{ position: 'Chair', candidate_id: 'a', candidate_name: 'Ada', vote_count: '4' }]);
+
+    assert.equal(row.total_votes, 4);
+});
+
+test('a plurality position elects the candidate with the most votes', () => {
+    const [position] = tallyResults(rowsFor({ a: 3, b: 2, c: 1 }));
+
+    assert.deepEqual(position.winners, ['a']);
+    assert.equal(position.total_votes, 6);
+    assert.equal(position.results[0].vote_percentage, 50);
+    assert.equal(position.tie, null);
+});
+
+test('a multi-seat position elects one candidate per seat', () => {
+    const [position] = tallyResults(rowsFor({ a: 3, b: 2, c: 1 }), {
+        positions: { Chair: { seats: 2 } }
+    });
+
+    assert.deepEqual(position.winners, ['a', 'b']);
+});
+
+test('candidates level on the last seat are tied and not elected', () => {
+    const [position] = tallyResults(rowsFor({ a: 3, b: 2, c: 2 }), {
+        positions: { Chair: { seats: 2 } }
+    });
+
+    assert.deepEqual(position.winners, ['a']);
+    assert.deepEqual(position.tie.candidates, ['b', 'c']);
+    assert.equal(position.tie.seats, 1);
+    assert.equal(position.results[1].rank, position.results[2].rank);
+});
+
+test('a resolution for the same tie elects its winners', () => {
+    const [position] = tallyResults(rowsFor({ a: 2, b: 2 }), {
+        resolutions: { Chair: { method: 'lots', tied_candidates: ['b', 'a'], winners: ['b'] } }
+    });
+
+    assert.deepEqual(position.winners, ['b']);
+    assert.equal(position.tie.resolution.method, 'lots');
+});
+
+test('a resolution recorded for a different tie is ignored', () => {
+    const [position] = tallyResults(rowsFor({ a: 2, b: 2, c: 2 }), {
+        resolutions: { Chair: { method: 'lots', tied_candidates: ['a', 'b'], winners: ['a'] } }
+    });
+
+    assert.deepEqual(position.winners, []);
+    assert.equal(position.tie.resolution, null);
+});
+
+test('a leader short of the majority rule elects nobody and needs a runoff', () => {
+    const [position] = tallyResults(rowsFor({ a: 4, b: 3, c: 3 }), {
+        positions: { Chair: { win_rule: 'majority' } }
+    });
+
+    assert.deepEqual(position.winners, []);
+    assert.equal(position.runoff.reason, 'win_rule');
+    assert.deepEqual(position.runoff.candidates, ['a', 'b', 'c']);
+});
+
+test('a leader meeting the threshold rule is elected', () => {
+    const [position] = tallyResults(rowsFor({ a: 4, b: 3, c: 3 }), {
+        positions: { Chair: { win_rule: 'threshold', win_threshold: 40 } }
+    });
+
+    assert.deepEqual(position.winners, ['a']);
+    assert.equal(position.runoff, null);
+});
+
+test('a ranked position is won by instant runoff, not first preferences', () => {
+    const rankings = [
+        ...Array(4).fill(['a']),
+        ...Array(3).fill(['b']),
+        ...Array(2).fill(['c', 'b'])
+    ];
+    const [position] = tallyResults(rowsFor({ a: 4, b: 3, c: 2 }), {
+        positions: { Chair: { voting_method: 'ranked' } },
+        rankings: { Chair: rankings }
+    });
+
+    assert.equal(position.voting_method, 'ranked');
+    assert.deepEqual(position.winners, ['b']);
+    assert.equal(position.count.rounds.length, 2);
+});
+
+test('positions come back sorted by title', () => {
+    const rows = [
+        { position: 'Treasurer', candidate_id: 't', candidate_name: 'Tam', total_votes: 1 },
+        { position: 'Chair', candidate_id: 'a', candidate_name: 'Ada', total_votes: 1 }
+    ];
+
+    assert.deepEqual(tallyResults(rows).map(position => position.position), ['Chair', 'Treasurer']);
+});
+
+test('a ranked count stopped by a tie for last place is run again with the lot order', () => {
+    const rankings = [
+        ...Array(3).fill(['a']),
+        ...Array(2).fill(['b']),
+        ...Array(2).fill(['c', 'b'])
+    ];
+    const options = (lotOrder) => ({
+        positions: { Chair: { voting_method: 'ranked' } },
+        rankings: { Chair: rankings },
+        resolutions: lotOrder
+            ? { Chair: { method: 'lots', tied_candidates: ['c', 'b'], winners: [], lot_order: lotOrder } }
+            : {}
+    });
+
+    const [unresolved] = tallyResults(rowsFor({ a: 3, b: 2, c: 2 }), options());
+    assert.deepEqual(unresolved.winners, []);
+    assert.equal(unresolved.tie.elimination, true);
+
+    const [cDrawnLast] = tallyResults(rowsFor({ a: 3, b: 2, c: 2 }), options(['b', 'a', 'c']));
+    assert.deepEqual(cDrawnLast.winners, ['b']);
+    assert.equal(cDrawnLast.tie.resolution.method, 'lots');
+
+    const [bDrawnLast] = tallyResults(rowsFor({ a: 3, b: 2, c: 2 }), options(['c', 'a', 'b']));
+    assert.deepEqual(bDrawnLast.winners, ['a']);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { drawLots, validateTieResolution, describeTieResolution } from '../admin/js/ties.js';
+
+const ids = ['6f1c0c1e-0000-4000-8000-000000000001', '6f1c0c1e-0000-4000-8000-000000000002', '6f1c0c1e-0000-4000-8000-000000000003'];
+
+test('drawLots orders candidates by the hash of seed and ID, as resolve_tie does', async () => {
+    const seed = '00112233445566778899aabbccddeeff';
+    const expected = [...ids].sort((a, b) => {
+        const hash = id => createHash('sha256').update(`${seed}:${id}`).digest('hex');
+        return hash(a) < hash(b) ? -1 : 1;
+    });
+
+    assert.deepEqual(await drawLots(ids, seed), expected);
+    assert.deepEqual(await drawLots([...ids].reverse(), seed), expected);
+});
+
+test('a tie for last place can only be broken by lot', () => {
+    const tie = { candidates: ids.slice(0, 2), seats: 1, elimination: true };
+
+    assert.deepEqual(validateTieResolution(tie, { method: 'lots', winners: [] }), []);
+    assert.equal(validateTieResolution(tie, { method: 'manual', winners: [ids[0]], reason: 'Committee' }).length, 1);
+});
+
+test('a manual decision needs a reason and one winner per seat', () => {
+    const tie = { candidates: ids, seats: 2 };
+
+    assert.equal(validateTieResolution(tie, { method: 'manual', winners: [ids[0]], reason: '' }).length, 2);
+    assert.deepEqual(validateTieResolution(tie, { method: 'manual', winners: ids.slice(0, 2), reason: 'Committee' }), []);
+});
+
+test('a draw that elected nobody is described by its seed', () => {
+    assert.equal(describeTieResolution({ method: 'lots', winners: [], seed: 'ab' }, {}), 'Decided by lot (seed ab)');
+    assert.equal(describeTieResolution({ method: 'lots', winners: [ids[0]], seed: 'ab' }, { [ids[0]]: 'Ada' }), 'Ada drawn by lot (seed ab)');
+});